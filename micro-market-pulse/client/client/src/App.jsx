@@ -1,16 +1,33 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import Plot from "react-plotly.js";
 
+// REST API root (see GET /api/v1/openapi.json); the WebSocket stays at /ws
+const API = "/api/v1";
+// Per-symbol accent colours, by position in the symbol registry
+const SYMBOL_COLORS = ["#f59e0b", "#8b5cf6", "#10b981", "#60a5fa", "#f472b6", "#facc15"];
+const symbolColor = (i) => SYMBOL_COLORS[i % SYMBOL_COLORS.length];
+const CANDLE_MS = { "1s": 1_000, "1m": 60_000, "5m": 300_000, "1h": 3_600_000 };
+
 export default function App() {
   // ---------- state / refs ----------
   const [rows, setRows] = useState([]);
-  const [selected, setSelected] = useState("BTC");
+  // Tracked symbols from the registry (GET /symbols); panels are built from it
+  const [symbols, setSymbols] = useState([]);
+  const [selected, setSelected] = useState("");
   const [soundOn, setSoundOn] = useState(false);
+  const soundOnRef = useRef(false);
+
+  // Demo mode / provenance of the server's signals (see GET /signals)
+  const [dataMode, setDataMode] = useState({ demo: false, provenance: "live" });
+
+  // WebSocket push (/ws) is up; polling /signals takes over when it drops
+  const [live, setLive] = useState(false);
+  const liveRef = useRef(false);
 
   const [impacts, setImpacts] = useState([]);
   const impactsRef = useRef([]);
 
-  const historyRef = useRef({ BTC: [], ETH: [] });
+  const historyRef = useRef({}); // sym -> [{ t, g }]
   const audioCtxRef = useRef(null);
   const lastBeepRef = useRef(0);
 
@@ -23,6 +40,34 @@ export default function App() {
   const [energyData, setEnergyData] = useState(null);
   const [analytics, setAnalytics] = useState(null);
 
+  // OHLCV bars for the selected symbol
+  const [candleInterval, setCandleInterval] = useState("1m");
+  const [candles, setCandles] = useState([]);
+
+  // Impact KPIs with confidence intervals over the last hour (GET /analytics)
+  const [impactStats, setImpactStats] = useState(null);
+
+  // Cross-asset pair metrics and sentiment spillover (GET /signals/cross)
+  const [cross, setCross] = useState(null);
+
+  // Sentiment -> price lead-lag for the selected symbol
+  const [leadLag, setLeadLag] = useState(null);
+  const [leadLagWindow, setLeadLagWindow] = useState(60);
+
+  // Backtest form and last result (POST /backtest)
+  const [btForm, setBtForm] = useState({
+    signal: "divergence",
+    mode: "follow",
+    entryZ: 1.5,
+    exitZ: 0.5,
+    feeBps: 10,
+    slippageBps: 2,
+    hours: 1,
+  });
+  const [btResult, setBtResult] = useState(null);
+  const [btError, setBtError] = useState(null);
+  const [btRunning, setBtRunning] = useState(false);
+
   // ---------- audio ----------
   const toggleAudio = () => {
     if (!audioCtxRef.current) {
@@ -30,84 +75,316 @@ export default function App() {
         audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
       } catch {}
     }
-    setSoundOn((v) => !v);
+    setSoundOn((v) => (soundOnRef.current = !v));
   };
 
-  // ---------- polling ----------
+  // ---------- live data: WebSocket push, /signals polling as fallback ----------
   useEffect(() => {
-    let timer;
+    let ws = null;
+    let pollTimer = null;
+    let retryTimer = null;
+    let closed = false;
+    let order = []; // row order: snapshot order, new symbols appended
+    const bySym = {};
+
+    // history + optional audio ping for “strong”
+    const track = (r, now) => {
+      const h = historyRef.current;
+      const arr = h[r.symbol] || [];
+      arr.push({ t: now, g: r.divergence ?? 0 });
+      if (arr.length > 150) arr.shift();
+      h[r.symbol] = arr;
 
+      if (soundOnRef.current && r.strong && now - lastBeepRef.current > 5000 && audioCtxRef.current) {
+        lastBeepRef.current = now;
+        try {
+          const ctx = audioCtxRef.current;
+          const osc = ctx.createOscillator();
+          const gain = ctx.createGain();
+          osc.type = "sine";
+          osc.frequency.value = 880;
+          osc.connect(gain);
+          gain.connect(ctx.destination);
+          gain.gain.setValueAtTime(0.0001, ctx.currentTime);
+          gain.gain.exponentialRampToValueAtTime(0.05, ctx.currentTime + 0.01);
+          osc.start();
+          setTimeout(() => {
+            gain.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + 0.15);
+            osc.stop(ctx.currentTime + 0.17);
+          }, 120);
+        } catch {}
+      }
+    };
+
+    const applyImpacts = (list) => {
+      impactsRef.current = list;
+      setImpacts(list);
+    };
+
+    const applyRows = (data) => {
+      setRows(data);
+      // Auto-summary (fires when meaningful change or new impact)
+      maybeUpdateSummary(data, impactsRef.current);
+    };
+
+    // While the socket is up the poll only refreshes energy/analytics
     const fetchData = async () => {
       try {
-        const res = await fetch("/signals");
+        const res = await fetch(`${API}/signals`);
         if (!res.ok) return;
         const json = await res.json();
 
-        const data = Array.isArray(json.data) ? json.data : [];
-        const newImpacts = Array.isArray(json.impacts) ? json.impacts : [];
         const newEnergyData = json.energy || null;
         const newAnalytics = json.analytics || null;
-
-        // rows
-        setRows(data);
-
-        // Update energy data and analytics if available
         if (newEnergyData) setEnergyData(newEnergyData);
         if (newAnalytics) setAnalytics(newAnalytics);
+        if (json.provenance) setDataMode({ demo: Boolean(json.demo), provenance: json.provenance });
+        if (liveRef.current) return;
 
-        // history + optional audio ping for “strong”
-        const h = historyRef.current;
+        const data = Array.isArray(json.data) ? json.data : [];
         const now = Date.now();
-
-        data.forEach((r) => {
-          const arr = h[r.symbol] || [];
-          arr.push({ t: now, g: r.divergence ?? 0 });
-          if (arr.length > 150) arr.shift();
-          h[r.symbol] = arr;
-
-          if (soundOn && r.strong && now - lastBeepRef.current > 5000 && audioCtxRef.current) {
-            lastBeepRef.current = now;
-            try {
-              const ctx = audioCtxRef.current;
-              const osc = ctx.createOscillator();
-              const gain = ctx.createGain();
-              osc.type = "sine";
-              osc.frequency.value = 880;
-              osc.connect(gain);
-              gain.connect(ctx.destination);
-              gain.gain.setValueAtTime(0.0001, ctx.currentTime);
-              gain.gain.exponentialRampToValueAtTime(0.05, ctx.currentTime + 0.01);
-              osc.start();
-              setTimeout(() => {
-                gain.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + 0.15);
-                osc.stop(ctx.currentTime + 0.17);
-              }, 120);
-            } catch {}
-          }
-        });
-
-        // impacts
-        impactsRef.current = newImpacts;
-        setImpacts(newImpacts);
-
-        // Auto-summary (fires when meaningful change or new impact)
-        maybeUpdateSummary(data, newImpacts);
+        data.forEach((r) => track(r, now));
+        applyImpacts(Array.isArray(json.impacts) ? json.impacts : []);
+        applyRows(data);
       } catch {}
     };
 
+    const poll = (ms) => {
+      clearInterval(pollTimer);
+      pollTimer = setInterval(fetchData, ms);
+    };
+
+    const onMessage = (msg) => {
+      if (msg.type === "snapshot" && msg.topic === "signals") {
+        order = msg.data.map((r) => r.symbol);
+        msg.data.forEach((r) => (bySym[r.symbol] = r));
+        applyRows(order.map((s) => bySym[s]));
+      } else if (msg.type === "snapshot" && msg.topic === "impacts") {
+        applyImpacts(msg.data.slice(-10));
+      } else if (msg.type === "update" && msg.topic === "signals") {
+        if (!bySym[msg.sym]) order.push(msg.sym);
+        bySym[msg.sym] = msg.data;
+        track(msg.data, Date.now());
+        applyRows(order.map((s) => bySym[s]));
+      } else if (msg.type === "update" && msg.topic === "impacts") {
+        applyImpacts([...impactsRef.current, msg.data].slice(-10));
+      }
+    };
+
+    const connect = () => {
+      if (typeof WebSocket === "undefined") return;
+      const proto = window.location.protocol === "https:" ? "wss" : "ws";
+      ws = new WebSocket(`${proto}://${window.location.host}/ws?topics=signals,impacts`);
+      ws.onopen = () => {
+        liveRef.current = true;
+        setLive(true);
+        poll(30000);
+      };
+      ws.onmessage = (e) => {
+        try {
+          onMessage(JSON.parse(e.data));
+        } catch {
+          // ignore malformed frames
+        }
+      };
+      ws.onclose = () => {
+        if (liveRef.current) poll(2000);
+        liveRef.current = false;
+        setLive(false);
+        if (!closed) retryTimer = setTimeout(connect, 5000);
+      };
+    };
+
     fetchData();
-    timer = setInterval(fetchData, 2000);
-    return () => clearInterval(timer);
-  }, [soundOn]);
+    poll(2000);
+    connect();
+    return () => {
+      closed = true;
+      liveRef.current = false;
+      clearInterval(pollTimer);
+      clearTimeout(retryTimer);
+      ws?.close();
+    };
+  }, []);
+
+  // ---------- symbol registry ----------
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchSymbols = async () => {
+      try {
+        const res = await fetch(`${API}/symbols`);
+        if (!res.ok) return;
+        const json = await res.json();
+        const list = Array.isArray(json.symbols) ? json.symbols : [];
+        if (cancelled) return;
+        setSymbols(list);
+        // keep the selection while it is still tracked, else the first symbol
+        setSelected((cur) => (list.some((s) => s.symbol === cur) ? cur : list[0]?.symbol ?? ""));
+      } catch {
+        // keep the last list on a failed poll
+      }
+    };
+
+    fetchSymbols();
+    const timer = setInterval(fetchSymbols, 30000);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  // ---------- candles ----------
+  useEffect(() => {
+    if (!selected) return;
+    let cancelled = false;
+
+    const fetchCandles = async () => {
+      try {
+        const res = await fetch(`${API}/candles?sym=${selected}&interval=${candleInterval}`);
+        if (!res.ok) return;
+        const json = await res.json();
+        if (!cancelled) setCandles(Array.isArray(json.bars) ? json.bars : []);
+      } catch {
+        // keep the last bars on a failed poll
+      }
+    };
+
+    fetchCandles();
+    const timer = setInterval(fetchCandles, 5000);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [selected, candleInterval]);
+
+  // ---------- impact KPIs ----------
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchImpactStats = async () => {
+      try {
+        const res = await fetch(`${API}/analytics?windowMin=60`);
+        if (!res.ok) return;
+        const json = await res.json();
+        if (!cancelled) setImpactStats(json.impacts?.total ?? null);
+      } catch {
+        // keep the last result on a failed poll
+      }
+    };
+
+    fetchImpactStats();
+    const timer = setInterval(fetchImpactStats, 10000);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  // ---------- cross-asset ----------
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCross = async () => {
+      try {
+        const res = await fetch(`${API}/signals/cross?windowMin=15,60`);
+        if (!res.ok) return;
+        const json = await res.json();
+        if (!cancelled) setCross(json);
+      } catch {
+        // keep the last result on a failed poll
+      }
+    };
+
+    fetchCross();
+    const timer = setInterval(fetchCross, 15000);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  // ---------- lead-lag ----------
+  useEffect(() => {
+    if (!selected) return;
+    let cancelled = false;
+
+    const fetchLeadLag = async () => {
+      try {
+        const res = await fetch(`${API}/analytics/leadlag?sym=${selected}&windowMin=${leadLagWindow}`);
+        if (!res.ok) return;
+        const json = await res.json();
+        if (!cancelled) setLeadLag(json.perSym?.[selected]?.[leadLagWindow] ?? null);
+      } catch {
+        // keep the last result on a failed poll
+      }
+    };
+
+    fetchLeadLag();
+    const timer = setInterval(fetchLeadLag, 30000);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [selected, leadLagWindow]);
+
+  // ---------- backtest ----------
+  const runBacktest = async () => {
+    if (!selected) return;
+    setBtRunning(true);
+    setBtError(null);
+    try {
+      const to = Date.now();
+      const res = await fetch(`${API}/backtest`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          sym: selected,
+          from: to - Number(btForm.hours) * 3600_000,
+          to,
+          feeBps: Number(btForm.feeBps),
+          slippageBps: Number(btForm.slippageBps),
+          rule: {
+            signal: btForm.signal,
+            mode: btForm.mode,
+            entryZ: Number(btForm.entryZ),
+            exitZ: Number(btForm.exitZ),
+          },
+        }),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+      setBtResult(json);
+    } catch (e) {
+      setBtError(e.message);
+    } finally {
+      setBtRunning(false);
+    }
+  };
+  const btField = (key) => ({
+    value: btForm[key],
+    onChange: (e) => setBtForm((f) => ({ ...f, [key]: e.target.value })),
+    style: {
+      background: "#111827",
+      color: "#e5e7eb",
+      border: "1px solid #334155",
+      borderRadius: 6,
+      padding: "4px 8px",
+      fontSize: 12,
+      width: 90,
+    },
+  });
 
   // ---------- KPI metrics (last 10 impacts) ----------
   const last10 = impacts.slice(-10);
   const impactCount = last10.length;
-  const avgImpact = impactCount
-    ? (last10.reduce((s, i) => s + (i.retPct60s || 0), 0) / impactCount).toFixed(3)
+  // A 60s horizon that hit a price gap has no return; keep it out of the averages
+  const last10Rets = last10.map((i) => i.retPct60s).filter((r) => r != null);
+  const avgImpact = last10Rets.length
+    ? (last10Rets.reduce((s, r) => s + r, 0) / last10Rets.length).toFixed(3)
     : "0.000";
-  const winRate = impactCount
-    ? Math.round((last10.filter((i) => (i.retPct60s || 0) > 0).length / impactCount) * 100)
+  const winRate = last10Rets.length
+    ? Math.round((last10Rets.filter((r) => r > 0).length / last10Rets.length) * 100)
     : 0;
 
   // ---------- helpers ----------
@@ -136,9 +413,9 @@ export default function App() {
     }, null);
     return match ? match.g : 0;
   });
-  const impactTexts = selectedImpacts.map(
-    (ev) => `${ev.retPct60s > 0 ? "+" : ""}${ev.retPct60s}%`
-  );
+  // "+0.12%", or "unresolved" when the 60s horizon had no price
+  const retText = (r) => (r == null ? "unresolved" : `${r > 0 ? "+" : ""}${r}%`);
+  const impactTexts = selectedImpacts.map((ev) => retText(ev.retPct60s));
 
   // ---------- Summary generator ----------
   function maybeUpdateSummary(newRows, newImpacts) {
@@ -201,13 +478,16 @@ export default function App() {
     // Latest impact (if any)
     const last = curImpacts.at(-1);
     if (last) {
-      const direction = last.retPct60s > 0 ? "positive" : last.retPct60s < 0 ? "negative" : "flat";
+      const direction =
+        last.retPct60s == null ? "unresolved" : last.retPct60s > 0 ? "positive" : last.retPct60s < 0 ? "negative" : "flat";
       const energyImpact = last.energy?.totalEnergyCostKWh
         ? ` Energy cost: ${fmt(last.energy.totalEnergyCostKWh, 2)} kWh`
         : "";
       lines.push(
         `Impact detected: ${last.sym} zSent spike ${fmt(last.zSentAtSpike, 2)}; ` +
-        `subsequent 60s return ${fmt(last.retPct60s, 3)}% (${direction}).${energyImpact}`
+        (last.retPct60s == null
+          ? `subsequent 60s return unresolved.${energyImpact}`
+          : `subsequent 60s return ${fmt(last.retPct60s, 3)}% (${direction}).${energyImpact}`)
       );
     }
 
@@ -229,6 +509,12 @@ export default function App() {
     if (!Number.isFinite(v)) return "0";
     return v.toFixed(dp);
   }
+  // "95% CI lo…hi · p=… vs …" under a KPI tile
+  function ciText(ci, digits, unit, pValue, against) {
+    if (!ci) return "no interval yet";
+    const p = pValue == null ? "p –" : `p=${pValue < 0.001 ? "<0.001" : pValue.toFixed(3)}`;
+    return `95% CI ${fmt(ci[0], digits)}…${fmt(ci[1], digits)}${unit} · ${p} ${against}`;
+  }
   function fmtPct(n) {
     const v = Number(n ?? 0);
     if (!Number.isFinite(v)) return "0%";
@@ -246,6 +532,26 @@ export default function App() {
         <h1 style={{ margin: 0, fontSize: 32, fontWeight: 800, letterSpacing: 0.2, color: "#e5e7eb" }}>
           Micro-Market Pulse
         </h1>
+        {dataMode.demo ? (
+          <span
+            style={{
+              marginLeft: 12,
+              background: "#7f1d1d",
+              color: "#fecaca",
+              borderRadius: 6,
+              padding: "4px 10px",
+              fontSize: 12,
+              fontWeight: 700,
+            }}
+            title="DEMO_MODE is on: ticks, sentiment and impacts are generated"
+          >
+            DEMO MODE · synthetic data
+          </span>
+        ) : (
+          <span style={{ marginLeft: 12 }}>
+            <ProvenanceBadge value={dataMode.provenance} />
+          </span>
+        )}
         <div style={{ marginLeft: "auto" }}>
           <button
             onClick={toggleAudio}
@@ -264,6 +570,12 @@ export default function App() {
             {soundOn ? "Audio Alerts: ON" : "Audio Alerts: OFF"}
           </button>
         </div>
+        <span
+          style={{ marginLeft: 10, fontSize: 12, color: live ? "#10b981" : "#fbbf24" }}
+          title={live ? "Updates pushed over WebSocket" : "WebSocket unavailable, polling every 2s"}
+        >
+          ● {live ? "push" : "polling"}
+        </span>
       </div>
 
       <p style={{ margin: "0 20px 14px 20px", color: "#94a3b8", fontSize: 14 }}>
@@ -279,18 +591,55 @@ export default function App() {
           padding: "0 20px 12px 20px",
         }}
       >
-        <KPI title="Impacts (last 10)" value={impactCount} />
-        <KPI title="Average Impact" value={`${avgImpact}%`} />
-        <KPI title="Win Rate" value={`${winRate}%`} />
+        {impactStats ? (
+          <>
+            <KPI
+              title="Impacts (60m)"
+              badge={impactStats.provenance}
+              value={impactStats.n}
+              sub={
+                (impactStats.confidence.lowSample ? `below n=${impactStats.confidence.minSample}: anecdotal` : "sample ok") +
+                (impactStats.unresolved ? ` · ${impactStats.unresolved} unresolved` : "")
+              }
+              subColor={impactStats.confidence.lowSample ? "#fbbf24" : undefined}
+            />
+            <KPI
+              title="Average Impact"
+              value={impactStats.avgRet == null ? "–" : `${fmt(impactStats.avgRet, 3)}%`}
+              color={impactStats.confidence.lowSample ? "#64748b" : undefined}
+              sub={ciText(impactStats.confidence.avgRetCI, 3, "%", impactStats.confidence.tTest.pValue, "vs 0")}
+            />
+            <KPI
+              title="Win Rate"
+              value={impactStats.winRate == null ? "–" : `${Math.round(impactStats.winRate * 100)}%`}
+              color={impactStats.confidence.lowSample ? "#64748b" : undefined}
+              sub={ciText(
+                impactStats.confidence.winRateCI?.map((x) => x * 100),
+                0,
+                "%",
+                impactStats.confidence.binomial.pValue,
+                "vs 50%"
+              )}
+            />
+          </>
+        ) : (
+          <>
+            <KPI title="Impacts (last 10)" value={impactCount} badge={weakestProvenance(last10.map((i) => i.provenance))} />
+            <KPI title="Average Impact" value={`${avgImpact}%`} />
+            <KPI title="Win Rate" value={`${winRate}%`} />
+          </>
+        )}
         {analytics && (
           <>
             <KPI 
               title="Total Energy Cost" 
+              badge={analytics.recentImpacts?.energyProvenance}
               value={analytics.recentImpacts?.totalEnergyCostKWh ? `${analytics.recentImpacts.totalEnergyCostKWh.toFixed(1)} kWh` : "N/A"}
               color="#fbbf24"
             />
             <KPI 
               title="Total Carbon Cost" 
+              badge={analytics.recentImpacts?.energyProvenance}
               value={analytics.recentImpacts?.totalCarbonCostKg ? `${analytics.recentImpacts.totalCarbonCostKg.toFixed(1)} kg` : "N/A"}
               color="#ef4444"
             />
@@ -313,6 +662,7 @@ export default function App() {
                 <th style={th}>Divergence</th>
                 <th style={th}>Pred 1m</th>
                 <th style={th}>Info Vol (1m)</th>
+                <th style={th}>Regime</th>
                 <th style={th}>Energy/Tx</th>
                 <th style={th}>Price Age</th>
                 <th style={th}>Info Age</th>
@@ -331,7 +681,9 @@ export default function App() {
                     onClick={() => setSelected(r.symbol)}
                     style={{ cursor: "pointer", background: bg }}
                   >
-                    <td style={td}>{r.symbol}</td>
+                    <td style={td}>
+                      {r.symbol} <ProvenanceBadge value={r.provenance} />
+                    </td>
                     <td style={td}>{r.lastPrice?.toLocaleString?.() ?? r.lastPrice}</td>
                     <td style={td}>{fmtPct(r.priceDelta1mPct)}</td>
                     <td style={td}>{r.sentDelta1m}</td>
@@ -340,10 +692,23 @@ export default function App() {
                     <td style={{ ...td, color: tint }}>{r.divergence}</td>
                     <td style={td}>
                       {r.predictedNextReturn !== undefined
-                        ? (r.predictedNextReturn > 0 ? "+" : "") + r.predictedNextReturn
+                        ? (r.predictedNextReturn > 0 ? "+" : "") + r.predictedNextReturn + "%"
                         : "–"}
                     </td>
                     <td style={td}>{r.infoCount1m ?? 0}</td>
+                    <td
+                      style={{
+                        ...td,
+                        color: r.regime === "volatile" ? "#f87171" : r.regime === "trending" ? "#fbbf24" : td.color,
+                      }}
+                      title={
+                        r.volatility?.realizedAnnPct?.["5m"] != null
+                          ? `5m realized vol ${r.volatility.realizedAnnPct["5m"]}% ann.`
+                          : undefined
+                      }
+                    >
+                      {r.regime ?? "–"}
+                    </td>
                     <td style={td}>
                       {r.energy?.energyPerTxKWh
                         ? `${r.energy.energyPerTxKWh.toFixed(2)} kWh`
@@ -364,6 +729,24 @@ export default function App() {
       <div style={{ padding: 20, display: "grid", gridTemplateColumns: "1fr 1fr", gap: 20 }}>
         {/* Divergence Chart */}
         <div style={{ border: "1px solid #1f2937", borderRadius: 10, background: "#0e1726" }}>
+          {selectedHist.length > 0 && (
+            <div style={{ padding: "8px 14px 0", display: "flex", justifyContent: "flex-end", gap: 12 }}>
+              <DownloadLinks
+                dataset="signals"
+                label="Signals"
+                sym={selected}
+                from={selectedHist[0].t}
+                to={selectedHist.at(-1).t + 1}
+              />
+              <DownloadLinks
+                dataset="info"
+                label="Info events"
+                sym={selected}
+                from={selectedHist[0].t}
+                to={selectedHist.at(-1).t + 1}
+              />
+            </div>
+          )}
           <Plot
             data={[
               {
@@ -429,6 +812,440 @@ export default function App() {
         )}
       </div>
 
+      {/* Candles */}
+      <div style={{ padding: "0 20px 12px 20px" }}>
+        <div style={{ border: "1px solid #1f2937", borderRadius: 10, background: "#0e1726", overflow: "hidden" }}>
+          <div
+            style={{
+              padding: "16px 20px",
+              borderBottom: "1px solid #1f2937",
+              fontWeight: 700,
+              color: "#cbd5e1",
+              fontSize: 16,
+              display: "flex",
+              alignItems: "center",
+            }}
+          >
+            {selected} Candles
+            <span style={{ fontSize: 12, fontWeight: 400, color: "#94a3b8", marginLeft: 8 }}>
+              (OHLCV from the Binance trade stream)
+            </span>
+            <div style={{ marginLeft: "auto", display: "flex", gap: 6, alignItems: "center" }}>
+              {candles.length > 0 && (
+                <span style={{ marginRight: 8 }}>
+                  <DownloadLinks
+                    dataset="ticks"
+                    label="Ticks"
+                    sym={selected}
+                    from={candles[0].t}
+                    to={candles.at(-1).t + CANDLE_MS[candleInterval]}
+                  />
+                </span>
+              )}
+              {Object.keys(CANDLE_MS).map((iv) => (
+                <button
+                  key={iv}
+                  onClick={() => setCandleInterval(iv)}
+                  style={{
+                    background: iv === candleInterval ? "#1e3a5f" : "#1f2937",
+                    color: iv === candleInterval ? "#bfdbfe" : "#cbd5e1",
+                    border: "1px solid #334155",
+                    borderRadius: 6,
+                    padding: "4px 10px",
+                    cursor: "pointer",
+                    fontSize: 12,
+                    fontWeight: 600,
+                  }}
+                >
+                  {iv}
+                </button>
+              ))}
+            </div>
+          </div>
+          {candles.length > 0 ? (
+            <div style={{ padding: "20px" }}>
+              <Plot
+                data={[
+                  {
+                    x: candles.map((b) => new Date(b.t)),
+                    open: candles.map((b) => b.o),
+                    high: candles.map((b) => b.h),
+                    low: candles.map((b) => b.l),
+                    close: candles.map((b) => b.c),
+                    type: "candlestick",
+                    name: selected,
+                    increasing: { line: { color: "#10b981" } },
+                    decreasing: { line: { color: "#ef4444" } },
+                  },
+                  {
+                    x: candles.map((b) => new Date(b.t)),
+                    y: candles.map((b) => b.vwap),
+                    type: "scatter",
+                    mode: "lines",
+                    name: "VWAP",
+                    line: { color: "#fbbf24", width: 1 },
+                  },
+                  {
+                    x: candles.map((b) => new Date(b.t)),
+                    y: candles.map((b) => b.v),
+                    type: "bar",
+                    name: "Volume",
+                    yaxis: "y2",
+                    marker: { color: "rgba(96, 165, 250, 0.35)" },
+                  },
+                ]}
+                layout={{
+                  paper_bgcolor: "#0e1726",
+                  plot_bgcolor: "#0e1726",
+                  font: { color: "#e5e7eb", size: 12 },
+                  height: 380,
+                  margin: { l: 60, r: 60, t: 20, b: 40 },
+                  xaxis: { color: "#e5e7eb", gridcolor: "#1f2937", rangeslider: { visible: false } },
+                  yaxis: { title: "Price (USD)", color: "#e5e7eb", gridcolor: "#1f2937", domain: [0.25, 1] },
+                  yaxis2: { title: "Volume", color: "#94a3b8", domain: [0, 0.2] },
+                  legend: { x: 0, y: 1 },
+                }}
+                useResizeHandler
+                style={{ width: "100%", height: "100%" }}
+              />
+            </div>
+          ) : (
+            <div style={{ padding: "40px 20px", textAlign: "center", color: "#94a3b8", fontSize: 14 }}>
+              Waiting for {selected} trades to build {candleInterval} bars…
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Lead-lag */}
+      <div style={{ padding: "0 20px 12px 20px" }}>
+        <div style={{ border: "1px solid #1f2937", borderRadius: 10, background: "#0e1726", overflow: "hidden" }}>
+          <div
+            style={{
+              padding: "16px 20px",
+              borderBottom: "1px solid #1f2937",
+              fontWeight: 700,
+              color: "#cbd5e1",
+              fontSize: 16,
+              display: "flex",
+              alignItems: "center",
+            }}
+          >
+            {selected} Sentiment → Price Lead-Lag
+            <span style={{ fontSize: 12, fontWeight: 400, color: "#94a3b8", marginLeft: 8 }}>
+              (positive lag = sentiment leads)
+            </span>
+            <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+              {[15, 60, 240].map((w) => (
+                <button
+                  key={w}
+                  onClick={() => setLeadLagWindow(w)}
+                  style={{
+                    background: w === leadLagWindow ? "#1e3a5f" : "#1f2937",
+                    color: w === leadLagWindow ? "#bfdbfe" : "#cbd5e1",
+                    border: "1px solid #334155",
+                    borderRadius: 6,
+                    padding: "4px 10px",
+                    cursor: "pointer",
+                    fontSize: 12,
+                    fontWeight: 600,
+                  }}
+                >
+                  {w < 60 ? `${w}m` : `${w / 60}h`}
+                </button>
+              ))}
+            </div>
+          </div>
+          {leadLag && leadLag.lags.some((l) => l.corr != null) ? (
+            <div style={{ padding: "20px" }}>
+              <div style={{ display: "flex", gap: 24, fontSize: 13, color: "#94a3b8", marginBottom: 8 }}>
+                <span>
+                  Peak: <strong style={{ color: "#e5e7eb" }}>{leadLag.peak ? `${leadLag.peak.lagSec}s` : "–"}</strong>
+                  {leadLag.peak && ` (r = ${fmt(leadLag.peak.corr, 3)})`}
+                </span>
+                <span>
+                  Granger sentiment → price: p ={" "}
+                  <strong style={{ color: leadLag.granger.sentimentToPrice.pValue < 0.05 ? "#10b981" : "#e5e7eb" }}>
+                    {leadLag.granger.sentimentToPrice.pValue ?? "–"}
+                  </strong>
+                </span>
+                <span>
+                  price → sentiment: p ={" "}
+                  <strong style={{ color: leadLag.granger.priceToSentiment.pValue < 0.05 ? "#10b981" : "#e5e7eb" }}>
+                    {leadLag.granger.priceToSentiment.pValue ?? "–"}
+                  </strong>
+                </span>
+                <span>
+                  {leadLag.bins} bins, {leadLag.activeBins} with sentiment
+                </span>
+              </div>
+              <Plot
+                data={[
+                  {
+                    x: leadLag.lags.map((l) => l.lagSec),
+                    y: leadLag.lags.map((l) => l.corr),
+                    type: "bar",
+                    name: "corr",
+                    marker: {
+                      color: leadLag.lags.map((l) =>
+                        Math.abs(l.corr ?? 0) >= leadLag.significance ? "#60a5fa" : "rgba(96, 165, 250, 0.35)"
+                      ),
+                    },
+                  },
+                ]}
+                layout={{
+                  paper_bgcolor: "#0e1726",
+                  plot_bgcolor: "#0e1726",
+                  font: { color: "#e5e7eb", size: 12 },
+                  height: 300,
+                  margin: { l: 60, r: 20, t: 20, b: 50 },
+                  xaxis: { title: "Lag (s)", color: "#e5e7eb", gridcolor: "#1f2937", zeroline: true },
+                  yaxis: { title: "Correlation", color: "#e5e7eb", gridcolor: "#1f2937" },
+                  shapes: [leadLag.significance, -leadLag.significance].map((y) => ({
+                    type: "line",
+                    xref: "paper",
+                    x0: 0,
+                    x1: 1,
+                    y0: y,
+                    y1: y,
+                    line: { color: "#fbbf24", width: 1, dash: "dot" },
+                  })),
+                  showlegend: false,
+                }}
+                useResizeHandler
+                style={{ width: "100%", height: "100%" }}
+              />
+            </div>
+          ) : (
+            <div style={{ padding: "40px 20px", textAlign: "center", color: "#94a3b8", fontSize: 14 }}>
+              Not enough {selected} price and sentiment history for a lead-lag estimate yet…
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Cross-asset */}
+      <div style={{ padding: "0 20px 12px 20px" }}>
+        <div style={{ border: "1px solid #1f2937", borderRadius: 10, background: "#0e1726", overflow: "hidden" }}>
+          <div
+            style={{
+              padding: "16px 20px",
+              borderBottom: "1px solid #1f2937",
+              fontWeight: 700,
+              color: "#cbd5e1",
+              fontSize: 16,
+            }}
+          >
+            Cross-Asset
+            <span style={{ fontSize: 12, fontWeight: 400, color: "#94a3b8", marginLeft: 8 }}>
+              ({cross ? `${cross.binSec}s` : "–"} returns; spillover = other leg's return after a sentiment spike, signed by spike direction)
+            </span>
+          </div>
+          {cross && Object.keys(cross.pairs).length ? (
+            Object.entries(cross.pairs).map(([pair, p]) => (
+              <div key={pair} style={{ padding: "16px 20px", borderBottom: "1px solid #1f2937" }}>
+                <table style={{ borderCollapse: "collapse", width: "100%", marginBottom: 12 }}>
+                  <thead>
+                    <tr>
+                      <th style={th}>{pair}</th>
+                      <th style={th}>Return corr</th>
+                      <th style={th}>Beta ({p.base} on {p.quote})</th>
+                      <th style={th}>Ratio</th>
+                      <th style={th}>Ratio z</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(p.windows).map(([w, m]) => (
+                      <tr key={w}>
+                        <td style={td}>{w}m ({m.bins} bins)</td>
+                        <td style={td}>{m.correlation == null ? "–" : fmt(m.correlation, 3)}</td>
+                        <td style={td}>{m.beta == null ? "–" : fmt(m.beta, 3)}</td>
+                        <td style={td}>{m.ratio == null ? "–" : fmt(m.ratio, 6)}</td>
+                        <td style={{ ...td, color: Math.abs(m.ratioZ ?? 0) >= 2 ? "#fbbf24" : td.color }}>
+                          {m.ratioZ == null ? "–" : fmt(m.ratioZ, 2)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <table style={{ borderCollapse: "collapse", width: "100%" }}>
+                  <thead>
+                    <tr>
+                      <th style={th}>Spillover</th>
+                      {cross.horizons.map((h) => (
+                        <th key={h} style={th}>
+                          {h}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(p.spillover).map(([dir, sp]) => (
+                      <tr key={dir}>
+                        <td style={td}>
+                          {dir.replace("->", " → ")} ({sp.n} spikes)
+                        </td>
+                        {sp.horizons.map((h) => (
+                          <td
+                            key={h.horizon}
+                            style={{ ...td, color: h.avgSignedRetPct == null ? "#64748b" : h.avgSignedRetPct > 0 ? "#10b981" : "#ef4444" }}
+                          >
+                            {h.avgSignedRetPct == null ? "–" : `${fmtPct(h.avgSignedRetPct)} (n=${h.n})`}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))
+          ) : (
+            <div style={{ padding: "40px 20px", textAlign: "center", color: "#94a3b8", fontSize: 14 }}>
+              No cross-asset pairs with price history yet…
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Backtest */}
+      <div style={{ padding: "0 20px 12px 20px" }}>
+        <div style={{ border: "1px solid #1f2937", borderRadius: 10, background: "#0e1726", overflow: "hidden" }}>
+          <div
+            style={{
+              padding: "16px 20px",
+              borderBottom: "1px solid #1f2937",
+              fontWeight: 700,
+              color: "#cbd5e1",
+              fontSize: 16,
+            }}
+          >
+            {selected} Divergence Backtest
+            <span style={{ fontSize: 12, fontWeight: 400, color: "#94a3b8", marginLeft: 8 }}>
+              (stored history replayed through the live signal logic)
+            </span>
+          </div>
+          <div style={{ padding: "16px 20px", display: "flex", flexWrap: "wrap", gap: 12, alignItems: "flex-end", fontSize: 12, color: "#94a3b8" }}>
+            <label style={{ display: "grid", gap: 4 }}>
+              Signal
+              <select {...btField("signal")}>
+                <option value="divergence">divergence</option>
+                <option value="strong">strong</option>
+              </select>
+            </label>
+            <label style={{ display: "grid", gap: 4 }}>
+              Mode
+              <select {...btField("mode")}>
+                <option value="follow">follow</option>
+                <option value="fade">fade</option>
+              </select>
+            </label>
+            <label style={{ display: "grid", gap: 4 }}>
+              Entry |z|
+              <input type="number" step="0.1" min="0" {...btField("entryZ")} />
+            </label>
+            <label style={{ display: "grid", gap: 4 }}>
+              Exit |z|
+              <input type="number" step="0.1" min="0" {...btField("exitZ")} />
+            </label>
+            <label style={{ display: "grid", gap: 4 }}>
+              Fee (bps)
+              <input type="number" step="1" min="0" {...btField("feeBps")} />
+            </label>
+            <label style={{ display: "grid", gap: 4 }}>
+              Slippage (bps)
+              <input type="number" step="1" min="0" {...btField("slippageBps")} />
+            </label>
+            <label style={{ display: "grid", gap: 4 }}>
+              Lookback (h)
+              <input type="number" step="1" min="1" max="24" {...btField("hours")} />
+            </label>
+            <button
+              onClick={runBacktest}
+              disabled={btRunning}
+              style={{
+                background: "#1e3a5f",
+                color: "#bfdbfe",
+                border: "1px solid #334155",
+                borderRadius: 6,
+                padding: "6px 14px",
+                cursor: btRunning ? "wait" : "pointer",
+                fontSize: 12,
+                fontWeight: 600,
+              }}
+            >
+              {btRunning ? "Running…" : "Run backtest"}
+            </button>
+            {btError && <span style={{ color: "#f87171" }}>{btError}</span>}
+          </div>
+          {btResult && (
+            <div style={{ padding: "0 20px 20px 20px" }}>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(5, minmax(0, 1fr))", gap: 12, marginBottom: 12 }}>
+                <KPI title="Trades" value={btResult.stats.trades} />
+                <KPI
+                  title="Hit rate"
+                  value={btResult.stats.hitRate == null ? "–" : `${Math.round(btResult.stats.hitRate * 100)}%`}
+                />
+                <KPI
+                  title="Total return"
+                  value={`${fmt(btResult.stats.totalReturnPct, 2)}%`}
+                  color={btResult.stats.totalReturnPct >= 0 ? "#10b981" : "#ef4444"}
+                />
+                <KPI title="Sharpe (ann.)" value={btResult.stats.sharpe == null ? "–" : fmt(btResult.stats.sharpe, 2)} />
+                <KPI title="Max drawdown" value={`${fmt(btResult.stats.maxDrawdownPct, 2)}%`} color="#fbbf24" />
+              </div>
+              <Plot
+                data={[
+                  {
+                    x: btResult.equity.map((p) => new Date(p.t)),
+                    y: btResult.equity.map((p) => p.equity),
+                    type: "scatter",
+                    mode: "lines",
+                    name: "Equity",
+                    line: { color: "#60a5fa", width: 2 },
+                  },
+                  {
+                    x: btResult.equity.map((p) => new Date(p.t)),
+                    y: btResult.equity.map((p) => p.price),
+                    type: "scatter",
+                    mode: "lines",
+                    name: "Price",
+                    yaxis: "y2",
+                    line: { color: "#94a3b8", width: 1 },
+                  },
+                  {
+                    x: btResult.trades.map((tr) => new Date(tr.entryT)),
+                    y: btResult.trades.map((tr) => tr.entryPrice),
+                    type: "scatter",
+                    mode: "markers",
+                    name: "Entry",
+                    yaxis: "y2",
+                    text: btResult.trades.map((tr) => `${tr.side} ${tr.retPct}%`),
+                    marker: {
+                      size: 9,
+                      symbol: btResult.trades.map((tr) => (tr.side === "long" ? "triangle-up" : "triangle-down")),
+                      color: btResult.trades.map((tr) => (tr.retPct > 0 ? "#10b981" : "#ef4444")),
+                    },
+                  },
+                ]}
+                layout={{
+                  paper_bgcolor: "#0e1726",
+                  plot_bgcolor: "#0e1726",
+                  font: { color: "#e5e7eb", size: 12 },
+                  height: 340,
+                  margin: { l: 60, r: 60, t: 20, b: 40 },
+                  xaxis: { color: "#e5e7eb", gridcolor: "#1f2937" },
+                  yaxis: { title: "Equity (start = 1)", color: "#e5e7eb", gridcolor: "#1f2937" },
+                  yaxis2: { title: "Price (USD)", color: "#94a3b8", overlaying: "y", side: "right" },
+                  legend: { x: 0, y: 1 },
+                }}
+                useResizeHandler
+                style={{ width: "100%", height: "100%" }}
+              />
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Enhanced Analytics Dashboard - Always Visible */}
       <div style={{ padding: "0 20px 12px 20px" }}>
         <div style={{ border: "1px solid #1f2937", borderRadius: 10, background: "#0e1726", overflow: "hidden" }}>
@@ -445,7 +1262,9 @@ export default function App() {
             Unified Analytics Dashboard
             <span style={{ fontSize: 12, fontWeight: 400, color: "#94a3b8", marginLeft: 8 }}>
               (Price + Sentiment + Energy Integration)
-            </span>
+            </span>{" "}
+            <ProvenanceBadge value={analytics?.recentImpacts?.provenance} />{" "}
+            <ProvenanceBadge value={analytics?.recentImpacts?.energyProvenance} />
           </div>
           
           {analytics && analytics.recentImpacts && analytics.recentImpacts.count > 0 ? (
@@ -459,7 +1278,11 @@ export default function App() {
                   <MetricCard
                     label="Total Impacts"
                     value={analytics.recentImpacts?.count || 0}
-                    subValue={`BTC: ${analytics.recentImpacts?.btcCount || 0} | ETH: ${analytics.recentImpacts?.ethCount || 0}`}
+                    subValue={
+                      Object.entries(analytics.recentImpacts?.countsBySymbol || {})
+                        .map(([sym, n]) => `${sym}: ${n}`)
+                        .join(" | ") || "–"
+                    }
                     color="#60a5fa"
                   />
                   <MetricCard
@@ -495,19 +1318,15 @@ export default function App() {
                       Network Energy Metrics
                     </h3>
                     <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(250px, 1fr))", gap: 16 }}>
-                      {analytics.networkMetrics.BTC && (
-                        <NetworkMetricCard
-                          symbol="BTC"
-                          data={analytics.networkMetrics.BTC}
-                          color="#f59e0b"
-                        />
-                      )}
-                      {analytics.networkMetrics.ETH && (
-                        <NetworkMetricCard
-                          symbol="ETH"
-                          data={analytics.networkMetrics.ETH}
-                          color="#8b5cf6"
-                        />
+                      {symbols.map(({ symbol }, i) =>
+                        analytics.networkMetrics[symbol] ? (
+                          <NetworkMetricCard
+                            key={symbol}
+                            symbol={symbol}
+                            data={analytics.networkMetrics[symbol]}
+                            color={symbolColor(i)}
+                          />
+                        ) : null
                       )}
                     </div>
                   </div>
@@ -716,9 +1535,25 @@ export default function App() {
               borderBottom: "1px solid #1f2937",
               fontWeight: 700,
               color: "#cbd5e1",
+              display: "flex",
+              alignItems: "center",
             }}
           >
             Recent Impacts (info spike → 60s price move)
+            {impacts.length > 0 && (
+              <span style={{ marginLeft: "auto" }}>
+                <DownloadLinks
+                  dataset="impacts"
+                  from={impacts[0].t}
+                  to={impacts.at(-1).t + 1}
+                  disabled={
+                    impacts.some((ev) => ev.provenance === "synthetic")
+                      ? "Synthetic demo impacts are not exported"
+                      : undefined
+                  }
+                />
+              </span>
+            )}
           </div>
         </div>
         <div style={{ border: "1px solid #1f2937", borderTop: "none", borderRadius: "0 0 10px 10px", background: "#0e1726", padding: "12px 14px" }}>
@@ -744,17 +1579,24 @@ export default function App() {
                   <li key={i} style={{ marginBottom: 6, color: "#e5e7eb" }}>
                     <span style={{ color: "#94a3b8" }}>
                       {new Date(ev.t).toLocaleTimeString()} — {ev.sym}
-                    </span>
+                    </span>{" "}
+                    <ProvenanceBadge value={ev.provenance} />
                     {" · "}
                     <span>zSent at spike: {ev.zSentAtSpike}</span>
                     {" · "}
                     <span
                       style={{
                         color:
-                          ev.retPct60s > 0 ? "#16a34a" : ev.retPct60s < 0 ? "#dc2626" : "#e5e7eb",
+                          ev.retPct60s == null
+                            ? "#94a3b8"
+                            : ev.retPct60s > 0
+                              ? "#16a34a"
+                              : ev.retPct60s < 0
+                                ? "#dc2626"
+                                : "#e5e7eb",
                       }}
                     >
-                      60s return: {(ev.retPct60s > 0 ? "+" : "") + ev.retPct60s}%
+                      60s return: {retText(ev.retPct60s)}
                     </span>
                     {ev.energy?.totalEnergyCostKWh && (
                       <>
@@ -780,144 +1622,151 @@ export default function App() {
       </div>
 
       {/* Energy Consumption Section */}
-      {energyData && energyData.BTC && (
-        <div style={{ padding: "0 20px 24px 20px" }}>
-          <div style={{ border: "1px solid #1f2937", borderRadius: 10, background: "#0e1726" }}>
-            <div
-              style={{
-                padding: "12px 14px",
-                borderBottom: "1px solid #1f2937",
-                fontWeight: 700,
-                color: "#cbd5e1",
-              }}
-            >
-              Bitcoin Energy Consumption{" "}
-              <span style={{ fontSize: 12, fontWeight: 400, color: "#94a3b8" }}>
-                (Source:{" "}
-                <a
-                  href="https://digiconomist.net/bitcoin-energy-consumption"
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  style={{ color: "#60a5fa" }}
-                >
-                  Digiconomist
-                </a>
-                )
-              </span>
-            </div>
-            <div style={{ padding: "12px 14px" }}>
-              <div
-                style={{
-                  display: "grid",
-                  gridTemplateColumns: "repeat(2, 1fr)",
-                  gap: 16,
-                  marginBottom: 16,
-                }}
-              >
-                <div>
-                  <h3 style={{ margin: "0 0 8px 0", fontSize: 14, color: "#94a3b8" }}>
-                    Annualized Footprints
-                  </h3>
-                  <div style={{ fontSize: 13, color: "#e5e7eb", lineHeight: 1.8 }}>
-                    <div>
-                      Carbon:{" "}
-                      <strong>
-                        {energyData.BTC.annualized?.carbonFootprintMtCO2
-                          ? energyData.BTC.annualized.carbonFootprintMtCO2.toFixed(2)
-                          : "N/A"}{" "}
-                        Mt CO₂
-                      </strong>
-                    </div>
-                    <div>
-                      Energy:{" "}
-                      <strong>
-                        {energyData.BTC.annualized?.electricalEnergyTWh
-                          ? energyData.BTC.annualized.electricalEnergyTWh.toFixed(2)
-                          : "N/A"}{" "}
-                        TWh
-                      </strong>
-                    </div>
-                    <div>
-                      E-Waste:{" "}
-                      <strong>
-                        {energyData.BTC.annualized?.electronicWasteKt
-                          ? energyData.BTC.annualized.electronicWasteKt.toFixed(2)
-                          : "N/A"}{" "}
-                        kt
-                      </strong>
-                    </div>
-                    <div>
-                      Water:{" "}
-                      <strong>
-                        {energyData.BTC.annualized?.freshWaterConsumptionGL
-                          ? energyData.BTC.annualized.freshWaterConsumptionGL.toFixed(0)
-                          : "N/A"}{" "}
-                        GL
-                      </strong>
-                    </div>
+      {energyData &&
+        symbols
+          .filter(({ symbol }) => energyData[symbol])
+          .map(({ symbol, name }) => {
+            const e = energyData[symbol];
+            return (
+              <div key={symbol} style={{ padding: "0 20px 24px 20px" }}>
+                <div style={{ border: "1px solid #1f2937", borderRadius: 10, background: "#0e1726" }}>
+                  <div
+                    style={{
+                      padding: "12px 14px",
+                      borderBottom: "1px solid #1f2937",
+                      fontWeight: 700,
+                      color: "#cbd5e1",
+                    }}
+                  >
+                    {name} Energy Consumption{" "}
+                    <span style={{ fontSize: 12, fontWeight: 400, color: "#94a3b8" }}>
+                      (Source:{" "}
+                      <a
+                        href={`https://digiconomist.net/${name.toLowerCase()}-energy-consumption`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        style={{ color: "#60a5fa" }}
+                      >
+                        Digiconomist
+                      </a>
+                      )
+                    </span>{" "}
+                    <ProvenanceBadge value={energyData.provenance} />
                   </div>
-                </div>
-                <div>
-                  <h3 style={{ margin: "0 0 8px 0", fontSize: 14, color: "#94a3b8" }}>
-                    Per Transaction
-                  </h3>
-                  <div style={{ fontSize: 13, color: "#e5e7eb", lineHeight: 1.8 }}>
-                    <div>
-                      Carbon:{" "}
-                      <strong>
-                        {energyData.BTC.perTransaction?.carbonFootprintKgCO2
-                          ? energyData.BTC.perTransaction.carbonFootprintKgCO2.toFixed(2)
-                          : "N/A"}{" "}
-                        kg CO₂
-                      </strong>
-                    </div>
-                    <div>
-                      Energy:{" "}
-                      <strong>
-                        {energyData.BTC.perTransaction?.electricalEnergyKWh
-                          ? energyData.BTC.perTransaction.electricalEnergyKWh.toFixed(2)
-                          : "N/A"}{" "}
-                        kWh
-                      </strong>
-                    </div>
-                    <div>
-                      E-Waste:{" "}
-                      <strong>
-                        {energyData.BTC.perTransaction?.electronicWasteGrams
-                          ? energyData.BTC.perTransaction.electronicWasteGrams.toFixed(2)
-                          : "N/A"}{" "}
-                        g
-                      </strong>
+                  <div style={{ padding: "12px 14px" }}>
+                    <div
+                      style={{
+                        display: "grid",
+                        gridTemplateColumns: "repeat(2, 1fr)",
+                        gap: 16,
+                        marginBottom: 16,
+                      }}
+                    >
+                      <div>
+                        <h3 style={{ margin: "0 0 8px 0", fontSize: 14, color: "#94a3b8" }}>
+                          Annualized Footprints
+                        </h3>
+                        <div style={{ fontSize: 13, color: "#e5e7eb", lineHeight: 1.8 }}>
+                          <div>
+                            Carbon:{" "}
+                            <strong>
+                              {e.annualized?.carbonFootprintMtCO2
+                                ? e.annualized.carbonFootprintMtCO2.toFixed(2)
+                                : "N/A"}{" "}
+                              Mt CO₂
+                            </strong>
+                          </div>
+                          <div>
+                            Energy:{" "}
+                            <strong>
+                              {e.annualized?.electricalEnergyTWh
+                                ? e.annualized.electricalEnergyTWh.toFixed(2)
+                                : "N/A"}{" "}
+                              TWh
+                            </strong>
+                          </div>
+                          <div>
+                            E-Waste:{" "}
+                            <strong>
+                              {e.annualized?.electronicWasteKt
+                                ? e.annualized.electronicWasteKt.toFixed(2)
+                                : "N/A"}{" "}
+                              kt
+                            </strong>
+                          </div>
+                          <div>
+                            Water:{" "}
+                            <strong>
+                              {e.annualized?.freshWaterConsumptionGL
+                                ? e.annualized.freshWaterConsumptionGL.toFixed(0)
+                                : "N/A"}{" "}
+                              GL
+                            </strong>
+                          </div>
+                        </div>
+                      </div>
+                      <div>
+                        <h3 style={{ margin: "0 0 8px 0", fontSize: 14, color: "#94a3b8" }}>
+                          Per Transaction
+                        </h3>
+                        <div style={{ fontSize: 13, color: "#e5e7eb", lineHeight: 1.8 }}>
+                          <div>
+                            Carbon:{" "}
+                            <strong>
+                              {e.perTransaction?.carbonFootprintKgCO2
+                                ? e.perTransaction.carbonFootprintKgCO2.toFixed(2)
+                                : "N/A"}{" "}
+                              kg CO₂
+                            </strong>
+                          </div>
+                          <div>
+                            Energy:{" "}
+                            <strong>
+                              {e.perTransaction?.electricalEnergyKWh
+                                ? e.perTransaction.electricalEnergyKWh.toFixed(2)
+                                : "N/A"}{" "}
+                              kWh
+                            </strong>
+                          </div>
+                          <div>
+                            E-Waste:{" "}
+                            <strong>
+                              {e.perTransaction?.electronicWasteGrams
+                                ? e.perTransaction.electronicWasteGrams.toFixed(2)
+                                : "N/A"}{" "}
+                              g
+                            </strong>
+                          </div>
+                          <div>
+                            Water:{" "}
+                            <strong>
+                              {e.perTransaction?.freshWaterConsumptionLiters
+                                ? e.perTransaction.freshWaterConsumptionLiters.toFixed(0)
+                                : "N/A"}{" "}
+                              L
+                            </strong>
+                          </div>
+                        </div>
+                      </div>
                     </div>
-                    <div>
-                      Water:{" "}
-                      <strong>
-                        {energyData.BTC.perTransaction?.freshWaterConsumptionLiters
-                          ? energyData.BTC.perTransaction.freshWaterConsumptionLiters.toFixed(0)
-                          : "N/A"}{" "}
-                        L
-                      </strong>
+                    <div
+                      style={{
+                        fontSize: 11,
+                        color: "#94a3b8",
+                        borderTop: "1px solid #1f2937",
+                        paddingTop: 8,
+                      }}
+                    >
+                      Updated:{" "}
+                      {e.updatedAt
+                        ? new Date(e.updatedAt).toLocaleString()
+                        : "N/A"}
                     </div>
                   </div>
                 </div>
               </div>
-              <div
-                style={{
-                  fontSize: 11,
-                  color: "#94a3b8",
-                  borderTop: "1px solid #1f2937",
-                  paddingTop: 8,
-                }}
-              >
-                Updated:{" "}
-                {energyData.BTC.updatedAt
-                  ? new Date(energyData.BTC.updatedAt).toLocaleString()
-                  : "N/A"}
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
+            );
+          })}
 
       {/* Auto Summary */}
       <div style={{ padding: "0 20px 24px 20px" }}>
@@ -945,7 +1794,7 @@ export default function App() {
 }
 
 /** Small KPI card */
-function KPI({ title, value, color = "#e5e7eb" }) {
+function KPI({ title, value, color = "#e5e7eb", sub, subColor = "#94a3b8", badge }) {
   return (
     <div
       style={{
@@ -955,12 +1804,86 @@ function KPI({ title, value, color = "#e5e7eb" }) {
         padding: 12,
       }}
     >
-      <div style={{ color: "#94a3b8", fontSize: 12, letterSpacing: 0.3 }}>{title}</div>
+      <div style={{ color: "#94a3b8", fontSize: 12, letterSpacing: 0.3 }}>
+        {title} <ProvenanceBadge value={badge} />
+      </div>
       <div style={{ marginTop: 4, fontSize: 22, fontWeight: 800, color }}>{value}</div>
+      {sub && <div style={{ marginTop: 4, fontSize: 11, color: subColor }}>{sub}</div>}
     </div>
   );
 }
 
+/* ---------------------------- Provenance ---------------------------- */
+// Mirrors server/provenance.js: strongest first; anything but live is badged
+const PROVENANCE = ["live", "replay", "estimated", "sample", "synthetic"];
+const PROVENANCE_STYLE = {
+  replay: { bg: "#1e3a5f", fg: "#bfdbfe", title: "Played back from a recorded session" },
+  estimated: { bg: "#422006", fg: "#fde68a", title: "Derived from configured estimates" },
+  sample: { bg: "#431407", fg: "#fed7aa", title: "Bundled sample data; the live API was unavailable" },
+  synthetic: { bg: "#7f1d1d", fg: "#fecaca", title: "Generated in demo mode" },
+};
+
+function weakestProvenance(values) {
+  return values.reduce(
+    (a, v) => (PROVENANCE.includes(v) && (a == null || PROVENANCE.indexOf(v) > PROVENANCE.indexOf(a)) ? v : a),
+    null
+  );
+}
+
+function ProvenanceBadge({ value }) {
+  const style = PROVENANCE_STYLE[value];
+  if (!style) return null;
+  return (
+    <span
+      title={style.title}
+      style={{
+        background: style.bg,
+        color: style.fg,
+        borderRadius: 4,
+        padding: "1px 6px",
+        fontSize: 10,
+        fontWeight: 700,
+        letterSpacing: 0.4,
+        textTransform: "uppercase",
+        verticalAlign: "middle",
+      }}
+    >
+      {value}
+    </span>
+  );
+}
+
+// CSV / NDJSON download of a stored dataset over [from, to) (GET /export/:dataset);
+// `disabled` (a reason string) greys the links out when the view isn't stored data
+function DownloadLinks({ dataset, sym, from, to, label = "Download", disabled }) {
+  if (from == null || to == null) return null;
+  if (disabled) {
+    return (
+      <span title={disabled} style={{ fontSize: 12, fontWeight: 400, color: "#475569", whiteSpace: "nowrap", cursor: "not-allowed" }}>
+        {label} CSV · NDJSON
+      </span>
+    );
+  }
+  const href = (format) => {
+    const q = new URLSearchParams({ format, from: String(Math.floor(from)), to: String(Math.ceil(to)) });
+    if (sym) q.set("sym", sym);
+    return `${API}/export/${dataset}?${q}`;
+  };
+  const link = { color: "#93c5fd", textDecoration: "none", fontWeight: 600 };
+  return (
+    <span style={{ fontSize: 12, fontWeight: 400, color: "#94a3b8", whiteSpace: "nowrap" }}>
+      {label}{" "}
+      <a href={href("csv")} download style={link}>
+        CSV
+      </a>
+      {" · "}
+      <a href={href("ndjson")} download style={link}>
+        NDJSON
+      </a>
+    </span>
+  );
+}
+
 /** Metric Card for Analytics */
 function MetricCard({ label, value, subValue, color = "#e5e7eb" }) {
   return (
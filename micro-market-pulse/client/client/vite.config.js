@@ -5,8 +5,8 @@ export default defineConfig({
   plugins: [react()],
   server: {
     proxy: {
-      "/signals": "http://localhost:4000",
-      "/health": "http://localhost:4000",
+      "/api": "http://localhost:4000",
+      "/ws": { target: "ws://localhost:4000", ws: true },
     },
   },
 });
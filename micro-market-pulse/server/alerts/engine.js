@@ -0,0 +1,121 @@
+/* ------------------------ Alert conditions --------------------- */
+// A rule's `when` is a tree of groups and comparisons:
+//   { all: [cond, ...] }   AND        { any: [cond, ...] }   OR
+//   { field: "divergence", op: "absGte", value: 1.5 }
+// `field` is a dot path into the evaluated record ("book.spreadBps",
+// "horizons.60s.arPct"); `value` is a number, a string (eq/neq only) or
+// { field: "zPrice" } to compare two fields of the same record.
+//   gt gte lt lte eq neq      plain comparisons
+//   absGte absLte             on |field|
+//   crossesAbove crossesBelow the previous evaluation for this rule and
+//                             symbol was on the other side of `value`
+
+export const OPS = ["gt", "gte", "lt", "lte", "eq", "neq", "absGte", "absLte", "crossesAbove", "crossesBelow"];
+const CROSS_OPS = new Set(["crossesAbove", "crossesBelow"]);
+
+export function getPath(obj, path) {
+  return String(path)
+    .split(".")
+    .reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// Throws on an invalid condition tree
+export function validateCondition(cond, where = "when") {
+  if (!cond || typeof cond !== "object") throw new Error(`${where} must be an object`);
+  for (const key of ["all", "any"]) {
+    if (key in cond) {
+      if (!Array.isArray(cond[key]) || !cond[key].length) throw new Error(`${where}.${key} must be a non-empty array`);
+      cond[key].forEach((c, i) => validateCondition(c, `${where}.${key}[${i}]`));
+      return;
+    }
+  }
+  if (typeof cond.field !== "string" || !cond.field) throw new Error(`${where}.field is required`);
+  if (!OPS.includes(cond.op)) throw new Error(`${where}.op must be one of ${OPS.join(", ")}`);
+  const v = cond.value;
+  const isRef = v && typeof v === "object" && typeof v.field === "string";
+  if (typeof v === "string" && !["eq", "neq"].includes(cond.op)) {
+    throw new Error(`${where}.value may only be a string for eq/neq`);
+  }
+  if (!isRef && typeof v !== "string" && !Number.isFinite(v)) {
+    throw new Error(`${where}.value must be a number, a string or { field }`);
+  }
+}
+
+// Every field path a condition reads (for the alert payload)
+export function conditionFields(cond, out = new Set()) {
+  for (const c of cond.all || cond.any || []) conditionFields(c, out);
+  if (cond.field) out.add(cond.field);
+  if (cond.value?.field) out.add(cond.value.field);
+  return out;
+}
+
+function compare(op, x, y, prev) {
+  switch (op) {
+    case "gt": return x > y;
+    case "gte": return x >= y;
+    case "lt": return x < y;
+    case "lte": return x <= y;
+    case "eq": return x === y;
+    case "neq": return x !== y;
+    case "absGte": return Math.abs(x) >= y;
+    case "absLte": return Math.abs(x) <= y;
+    case "crossesAbove": return prev != null && prev.x < prev.y && x >= y;
+    case "crossesBelow": return prev != null && prev.x > prev.y && x <= y;
+    default: return false;
+  }
+}
+
+// memory: Map of crossover state, keyed per rule/symbol/condition path
+function evaluate(cond, record, memory, key) {
+  if (cond.all) return cond.all.map((c, i) => evaluate(c, record, memory, `${key}.a${i}`)).every(Boolean);
+  if (cond.any) return cond.any.map((c, i) => evaluate(c, record, memory, `${key}.o${i}`)).some(Boolean);
+
+  const x = getPath(record, cond.field);
+  const y = cond.value?.field ? getPath(record, cond.value.field) : cond.value;
+  if (x == null || y == null) return false;
+  if (!CROSS_OPS.has(cond.op)) return compare(cond.op, x, y);
+
+  const prev = memory.get(key);
+  memory.set(key, { x, y });
+  return compare(cond.op, x, y, prev);
+}
+
+// Rules are { id, name, scope, symbols, when, cooldownMs, enabled } (see
+// alerts/index.js). check() returns the firings for one record.
+export function createAlertEngine() {
+  const memory = new Map();    // crossover state
+  const lastFired = new Map(); // `${ruleId}:${sym}` -> t
+
+  return {
+    check(rules, scope, sym, record, t) {
+      const fired = [];
+      for (const rule of rules) {
+        if (!rule.enabled || rule.scope !== scope) continue;
+        if (rule.symbols.length && !rule.symbols.includes(sym)) continue;
+        const key = `${rule.id}:${sym}`;
+        // evaluate even while cooling down so crossovers keep their state
+        const hit = evaluate(rule.when, record, memory, key);
+        if (!hit || t - (lastFired.get(key) ?? -Infinity) < rule.cooldownMs) continue;
+        lastFired.set(key, t);
+        const values = Object.fromEntries([...conditionFields(rule.when)].map((f) => [f, getPath(record, f) ?? null]));
+        fired.push({
+          t,
+          ruleId: rule.id,
+          ruleName: rule.name,
+          scope,
+          sym,
+          values,
+          message: `${rule.name}: ${sym} ${Object.entries(values).map(([f, v]) => `${f}=${v}`).join(" ")}`,
+        });
+      }
+      return fired;
+    },
+
+    // Forget state for a rule (after it is edited or removed)
+    forget(ruleId) {
+      for (const m of [memory, lastFired]) {
+        for (const k of m.keys()) if (k.startsWith(`${ruleId}:`)) m.delete(k);
+      }
+    },
+  };
+}
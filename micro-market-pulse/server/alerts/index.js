@@ -0,0 +1,187 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createAlertEngine, validateCondition } from "./engine.js";
+
+/* ------------------------ Alert registry ----------------------- */
+// alerts.json (override via ALERTS_CONFIG) holds { sinks, rules }.
+// Sinks are fixed at startup; each entry's `type` names a module in sinks/
+// whose default export is a factory (config) => { send(alert), describe(),
+// attach?(res) }. Optional sink keys: enabled, requiresEnv (as in
+// sources.json). Rules are edited at runtime through /alerts/rules; edits go
+// to <dataDir>/alert-rules.json, whose rules replace the configured ones on
+// the next start (the tracked config is never rewritten):
+//   id          [a-z0-9-], derived from the name when missing
+//   scope       "signal" (every signal update) or "impact" (completed impacts)
+//   symbols     symbols the rule watches; empty = all
+//   when        condition tree (see engine.js)
+//   cooldownMs  min gap between firings per symbol (default 60000)
+//   sinks       sink names to notify; empty = all
+//   enabled     false to keep the rule without evaluating it
+const CONFIG_PATH =
+  process.env.ALERTS_CONFIG || fileURLToPath(new URL("../alerts.json", import.meta.url));
+
+export const SCOPES = ["signal", "impact"];
+const DEFAULT_COOLDOWN_MS = 60_000;
+
+const rules = new Map(); // id -> rule
+const sinks = new Map(); // name -> { sink, status }
+const skipped = new Map(); // sink name -> reason
+let sinkConfig = [];
+let statePath = null; // <dataDir>/alert-rules.json
+const engine = createAlertEngine();
+
+function normalizeRule(raw, id = raw?.id) {
+  const name = String(raw?.name || id || "").trim();
+  if (!name) throw new Error("rule needs a name or id");
+  const ruleId = String(id || name).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  if (!/^[a-z0-9-]{1,40}$/.test(ruleId)) throw new Error("id must be 1-40 letters/digits/dashes");
+
+  const scope = raw.scope ?? "signal";
+  if (!SCOPES.includes(scope)) throw new Error(`scope must be one of ${SCOPES.join(", ")}`);
+  validateCondition(raw.when);
+
+  const cooldownMs = Number(raw.cooldownMs ?? DEFAULT_COOLDOWN_MS);
+  if (!Number.isFinite(cooldownMs) || cooldownMs < 0) throw new Error("cooldownMs must be >= 0");
+
+  const sinkNames = Array.isArray(raw.sinks) ? raw.sinks.map(String) : [];
+  const unknown = sinkNames.filter((s) => !sinkConfig.some((c) => (c.name || c.type) === s));
+  if (unknown.length) throw new Error(`unknown sink ${unknown.join(", ")}`);
+
+  return {
+    id: ruleId,
+    name,
+    scope,
+    symbols: (Array.isArray(raw.symbols) ? raw.symbols : []).map((s) => String(s).trim().toUpperCase()).filter(Boolean),
+    when: raw.when,
+    cooldownMs,
+    sinks: sinkNames,
+    enabled: raw.enabled !== false,
+  };
+}
+
+function save() {
+  if (!statePath) return;
+  try {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify({ rules: listRules() }, null, 2) + "\n");
+  } catch (e) {
+    console.log("[alerts] could not persist config:", e.message);
+  }
+}
+
+// dataDir: where file sinks write relative paths and rule edits are kept
+export async function loadAlerts({ dataDir }) {
+  const raw = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  statePath = dataDir ? path.join(dataDir, "alert-rules.json") : null;
+  const saved = statePath && fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, "utf8")) : null;
+  sinkConfig = raw.sinks || [];
+  sinks.clear();
+  skipped.clear();
+
+  for (const entry of sinkConfig) {
+    const name = entry.name || entry.type;
+    if (entry.enabled === false) {
+      skipped.set(name, "disabled");
+      continue;
+    }
+    if (entry.requiresEnv && !process.env[entry.requiresEnv]) {
+      skipped.set(name, `${entry.requiresEnv} not set`);
+      continue;
+    }
+    if (!/^[a-z0-9-]+$/i.test(entry.type || "")) {
+      skipped.set(name, `invalid type ${entry.type}`);
+      continue;
+    }
+    try {
+      const mod = await import(`./sinks/${entry.type}.js`);
+      const sink = mod.default({ ...entry, name, dataDir });
+      sinks.set(name, { sink, status: { name, type: entry.type, sent: 0, failed: 0, lastSentAt: null, lastError: null } });
+    } catch (e) {
+      skipped.set(name, `load failed: ${e.message}`);
+      console.log(`[alerts] sink ${name} failed to load:`, e.message);
+    }
+  }
+
+  rules.clear();
+  for (const item of (saved || raw).rules || []) {
+    try {
+      const rule = normalizeRule(item);
+      rules.set(rule.id, rule);
+    } catch (e) {
+      // e.g. a saved rule naming a sink since removed from the config
+      console.log(`[alerts] rule ${item?.id || item?.name} ignored:`, e.message);
+    }
+  }
+  console.log(`[alerts] ${rules.size} rules, sinks: ${[...sinks.keys()].join(", ") || "none"}`);
+  return listRules();
+}
+
+export function listRules() {
+  return [...rules.values()];
+}
+
+export function getRule(id) {
+  return rules.get(String(id || "").toLowerCase()) || null;
+}
+
+// Adds a new rule; null when its id is taken. Throws on invalid input
+export function addRule(raw) {
+  const rule = normalizeRule(raw);
+  if (rules.has(rule.id)) return null;
+  return upsertRule(rule);
+}
+
+// Adds a rule or replaces the one with the same id; throws on invalid input
+export function upsertRule(raw, id) {
+  const rule = normalizeRule(raw, id);
+  rules.set(rule.id, rule);
+  engine.forget(rule.id);
+  save();
+  return rule;
+}
+
+export function removeRule(id) {
+  const rule = getRule(id);
+  if (!rule) return false;
+  rules.delete(rule.id);
+  engine.forget(rule.id);
+  save();
+  return true;
+}
+
+export function getSink(name) {
+  return sinks.get(name)?.sink || null;
+}
+
+export function sinkStatus() {
+  return [
+    ...[...sinks.values()].map(({ sink, status }) => ({ enabled: true, ...status, ...sink.describe?.() })),
+    ...[...skipped].map(([name, reason]) => ({ name, enabled: false, reason })),
+  ];
+}
+
+function dispatch(alert, names) {
+  for (const [name, { sink, status }] of sinks) {
+    if (names.length && !names.includes(name)) continue;
+    Promise.resolve()
+      .then(() => sink.send(alert))
+      .then(() => {
+        status.sent += 1;
+        status.lastSentAt = Date.now();
+      })
+      .catch((e) => {
+        status.failed += 1;
+        status.lastError = e.message;
+        console.log(`[alerts] sink ${name} failed:`, e.message);
+      });
+  }
+}
+
+// Evaluates the rules of `scope` against one record and notifies sinks;
+// returns the firings so the caller can store them
+export function checkAlerts(scope, sym, record, t) {
+  const fired = engine.check(listRules(), scope, sym, record, t);
+  for (const alert of fired) dispatch(alert, getRule(alert.ruleId).sinks);
+  return fired;
+}
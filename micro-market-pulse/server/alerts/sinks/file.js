@@ -0,0 +1,17 @@
+import fs from "fs";
+import path from "path";
+
+/* -------------------------- File sink -------------------------- */
+// Appends one JSON line per alert. Config: file, relative to the data
+// directory (default alerts.log).
+export default function fileSink({ file = "alerts.log", dataDir }) {
+  const target = path.resolve(dataDir, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+
+  return {
+    async send(alert) {
+      await fs.promises.appendFile(target, JSON.stringify({ ...alert, at: new Date(alert.t).toISOString() }) + "\n");
+    },
+    describe: () => ({ file: target }),
+  };
+}
@@ -0,0 +1,18 @@
+/* --------------------------- SSE sink -------------------------- */
+// Fans alerts out to the clients of GET /alerts/stream as `alert` events.
+export default function sseSink() {
+  const clients = new Set();
+
+  return {
+    send(alert) {
+      const frame = `event: alert\ndata: ${JSON.stringify(alert)}\n\n`;
+      for (const res of clients) res.write(frame);
+    },
+    // Registers an open event-stream response until it closes
+    attach(res) {
+      clients.add(res);
+      res.on("close", () => clients.delete(res));
+    },
+    describe: () => ({ clients: clients.size }),
+  };
+}
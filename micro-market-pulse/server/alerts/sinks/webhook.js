@@ -0,0 +1,22 @@
+import fetch from "node-fetch";
+
+/* ------------------------ Webhook sink ------------------------- */
+// POSTs each alert as JSON. Config: url (or urlEnv naming an env var),
+// headers, timeoutMs (default 5000).
+export default function webhookSink({ url, urlEnv, headers = {}, timeoutMs = 5000 }) {
+  const target = url || (urlEnv && process.env[urlEnv]);
+  if (!target) throw new Error("webhook sink needs url or urlEnv");
+
+  return {
+    async send(alert) {
+      const res = await fetch(target, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    },
+    describe: () => ({ url: target.replace(/\/\/[^/]*@/, "//***@") }),
+  };
+}
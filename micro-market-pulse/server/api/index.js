@@ -0,0 +1,116 @@
+import { validate, coerce } from "./schema.js";
+
+/* --------------------------- REST API -------------------------- */
+// Requests are checked against the OpenAPI document (openapi.js) before they
+// reach a route: path and query parameters are coerced to their schema type
+// and validated, JSON bodies are validated against the operation's request
+// schema. Every error response has one shape:
+//   { error: "message", code: "bad_request" | ..., details?: [{ path, message }] }
+// With API_VALIDATE_RESPONSES=1 JSON responses are also checked and
+// mismatches are logged (the response is still sent).
+
+const CODES = {
+  400: "bad_request",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  413: "payload_too_large",
+  500: "internal_error",
+  503: "unavailable",
+};
+
+export function sendError(res, status, message, details) {
+  return res.status(status).json({
+    error: message,
+    code: CODES[status] || (status >= 500 ? "internal_error" : "bad_request"),
+    ...(details?.length && { details }),
+  });
+}
+
+// "/alerts/rules/{id}" -> { regex, names }
+function compilePath(template) {
+  const names = [];
+  const source = template.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{(\w+)\}/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+export function createApiValidator(doc, { validateResponses = false } = {}) {
+  const routes = Object.entries(doc.paths).map(([template, item]) => ({ template, item, ...compilePath(template) }));
+
+  // The operation for a request path (relative to the API root), if any
+  function match(method, path) {
+    for (const r of routes) {
+      const m = r.regex.exec(path);
+      if (!m) continue;
+      const op = r.item[method.toLowerCase()];
+      const params = Object.fromEntries(r.names.map((n, i) => [n, decodeURIComponent(m[i + 1])]));
+      return { op, item: r.item, params, template: r.template, methods: Object.keys(r.item).filter((k) => k !== "parameters") };
+    }
+    return null;
+  }
+
+  return function apiValidator(req, res, next) {
+    const found = match(req.method === "HEAD" ? "get" : req.method, req.path);
+    if (!found) return next(); // not part of the documented API
+    if (!found.op) {
+      res.setHeader("Allow", found.methods.map((m) => m.toUpperCase()).join(", "));
+      return sendError(res, 405, `${req.method} is not supported on ${found.template}`);
+    }
+
+    const details = [];
+    for (const p of [...(found.item?.parameters || []), ...(found.op.parameters || [])]) {
+      const source = p.in === "path" ? found.params : p.in === "query" ? req.query : null;
+      if (!source) continue;
+      const raw = source[p.name];
+      if (raw === undefined || raw === "") {
+        if (p.required) details.push({ path: `${p.in}.${p.name}`, message: "is required" });
+        continue;
+      }
+      const value = coerce(p.schema, raw, doc);
+      details.push(...validate(p.schema, value, doc, `${p.in}.${p.name}`));
+    }
+
+    const bodySchema = found.op.requestBody?.content?.["application/json"]?.schema;
+    if (bodySchema) {
+      const body = req.body ?? {};
+      if (found.op.requestBody.required && (req.body == null || !Object.keys(req.body).length)) {
+        details.push({ path: "body", message: "is required" });
+      } else {
+        details.push(...validate(bodySchema, body, doc, "body"));
+      }
+    }
+    if (details.length) return sendError(res, 400, "invalid request", details);
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = (payload) => {
+        const spec = found.op.responses?.[res.statusCode] ?? found.op.responses?.default;
+        const schema = spec?.content?.["application/json"]?.schema;
+        if (schema) {
+          const problems = validate(schema, JSON.parse(JSON.stringify(payload ?? null)), doc);
+          if (problems.length) {
+            console.log(`[api] ${req.method} ${found.template} ${res.statusCode} response does not match schema:`,
+              problems.slice(0, 5).map((p) => `${p.path} ${p.message}`).join("; "));
+          }
+        }
+        return json(payload);
+      };
+    }
+    next();
+  };
+}
+
+// Unknown routes and thrown errors (malformed JSON bodies included) as JSON
+export function notFound(req, res) {
+  sendError(res, 404, `no route for ${req.method} ${req.path}`);
+}
+
+export function errorHandler(err, _req, res, _next) {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error("[api] unhandled error:", err);
+  if (res.headersSent) return res.end();
+  sendError(res, status, status >= 500 ? "internal server error" : err.type === "entity.parse.failed" ? "malformed JSON body" : err.message);
+}
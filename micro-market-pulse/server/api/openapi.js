@@ -0,0 +1,518 @@
+import { OPS } from "../alerts/engine.js";
+import { SCOPES } from "../alerts/index.js";
+import { TOPICS } from "../push.js";
+import { EVENT_TYPES } from "../events.js";
+import { PROVENANCE } from "../provenance.js";
+import { Z_ESTIMATORS } from "../stats.js";
+import { INTERVALS } from "../candles.js";
+import { EXPORT_DATASETS, EXPORT_FORMATS } from "../export.js";
+
+/* ------------------------ OpenAPI document --------------------- */
+// The contract for /api/v1. The unversioned paths are aliases of it that
+// skip request validation, so existing clients keep their defaults.
+// Served at /api/v1/openapi.json; api/index.js validates requests against it.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, "null") });
+const json = (schema, description = "OK") => ({ description, content: { "application/json": { schema } } });
+const errors = (...codes) =>
+  Object.fromEntries(codes.map((c) => [c, { $ref: `#/components/responses/${c === 404 ? "NotFound" : c === 409 ? "Conflict" : c === 503 ? "Unavailable" : "BadRequest"}` }]));
+const query = (name, schema, description, required = false) => ({ name, in: "query", required, description, schema });
+const path = (name, schema, description) => ({ name, in: "path", required: true, description, schema });
+const body = (schema, required = true) => ({ required, content: { "application/json": { schema } } });
+const sse = (description) => ({ description, content: { "text/event-stream": { schema: { type: "string" } } } });
+
+const SYM = { type: "string", pattern: "^[A-Za-z0-9]{2,12}$" };
+// epoch ms or an ISO date
+const TIME = { type: "string", pattern: "^(\\d+|\\d{4}-\\d{2}-\\d{2}.*)$" };
+const MINUTE_LIST = { type: "string", pattern: "^\\d+(,\\d+)*$" };
+const symQuery = query("sym", SYM, "Symbol, e.g. BTC (default: all)");
+const num = { type: "number" };
+
+export const openapi = {
+  openapi: "3.1.0",
+  info: {
+    title: "Micro-Market Pulse API",
+    version: "1.0.0",
+    description:
+      "Live price/sentiment divergence signals, impact event studies and analytics. " +
+      "Every error response is an Error object with a proper status code.",
+  },
+  servers: [{ url: "/api/v1" }],
+  paths: {
+    "/health": {
+      get: { summary: "Liveness and data mode", responses: { 200: json(ref("Health")) } },
+    },
+    "/openapi.json": {
+      get: { summary: "This document", responses: { 200: json({ type: "object", required: ["openapi", "paths"] }) } },
+    },
+    "/signals": {
+      get: {
+        summary: "Current signal per symbol, recent impacts, energy context",
+        responses: {
+          200: json({
+            type: "object",
+            required: ["windowSeconds", "zScore", "demo", "provenance", "symbols", "data", "impacts", "pendingImpacts"],
+            properties: {
+              windowSeconds: num,
+              zScore: { type: "object" },
+              demo: { type: "boolean" },
+              provenance: ref("Provenance"),
+              symbols: { type: "array", items: { type: "string" } },
+              data: { type: "array", items: ref("Signal") },
+              impacts: { type: "array", items: ref("Impact") },
+              pendingImpacts: { type: "array", items: { type: "object" } },
+              energy: nullable(ref("EnergyData")),
+              analytics: { type: ["object", "null"] },
+            },
+          }),
+          ...errors(503),
+        },
+      },
+    },
+    "/signals/cross": {
+      get: {
+        summary: "Cross-asset pair metrics and sentiment spillover",
+        parameters: [
+          query("pair", { type: "string", pattern: "^[A-Za-z0-9]{2,12}/[A-Za-z0-9]{2,12}(,[A-Za-z0-9]{2,12}/[A-Za-z0-9]{2,12})*$" }, "BASE/QUOTE pairs, comma-separated (default CROSS_PAIRS)"),
+          query("windowMin", MINUTE_LIST, "Windows in minutes, comma-separated (default 15,60)"),
+          query("binSec", { type: "number", minimum: 1, maximum: 3600 }, "Return bin size (default 10)"),
+          query("spikeWindowMin", { type: "number", minimum: 1 }, "Spikes considered for spillover (default 1440)"),
+        ],
+        responses: {
+          200: json({
+            type: "object",
+            required: ["binSec", "horizons", "pairs"],
+            properties: { binSec: num, horizons: { type: "array", items: { type: "string" } }, pairs: { type: "object" } },
+          }),
+          ...errors(400),
+        },
+      },
+    },
+    "/energy": {
+      get: {
+        summary: "Network energy / carbon figures (Digiconomist, or the bundled sample)",
+        responses: { 200: json(nullable(ref("EnergyData"))), ...errors(503) },
+      },
+    },
+    "/sentiment/compare": {
+      get: {
+        summary: "Sentiment engines side by side over stored info events",
+        parameters: [query("windowMin", { type: "integer", minimum: 1, maximum: 10080 }, "Window (default 60)"), symQuery],
+        responses: { 200: json({ type: "object", required: ["windowMinutes", "defaultEngine"] }) },
+      },
+    },
+    "/store": {
+      get: { summary: "Stored collections and their sizes", responses: { 200: json({ type: "object", required: ["collections"] }) } },
+    },
+    "/candles": {
+      get: {
+        summary: "OHLCV bars",
+        parameters: [
+          query("sym", SYM, "Symbol", true),
+          query("interval", { type: "string", enum: Object.keys(INTERVALS) }, "Bar interval (default 1m)"),
+          query("from", TIME, "Start (epoch ms or ISO date)"),
+          query("to", TIME, "End (epoch ms or ISO date)"),
+        ],
+        responses: {
+          200: json({
+            type: "object",
+            required: ["sym", "interval", "bars"],
+            properties: { sym: { type: "string" }, interval: { type: "string" }, bars: { type: "array", items: ref("Candle") } },
+          }),
+          ...errors(400),
+        },
+      },
+    },
+    "/impacts": {
+      get: {
+        summary: "Completed impact event studies (with paths) and pending spikes",
+        parameters: [symQuery, query("limit", { type: "integer", minimum: 1, maximum: 500 }, "Newest N (default 50)")],
+        responses: {
+          200: json({
+            type: "object",
+            required: ["horizons", "maxGapMs", "pending", "completed"],
+            properties: {
+              horizons: { type: "array", items: { type: "string" } },
+              maxGapMs: num,
+              pending: { type: "array", items: { type: "object" } },
+              completed: { type: "array", items: ref("Impact") },
+            },
+          }),
+          ...errors(400),
+        },
+      },
+    },
+    "/export/{dataset}": {
+      get: {
+        summary: "Stream a stored collection as CSV or NDJSON (fixed columns, see export.js)",
+        parameters: [
+          path("dataset", { type: "string", enum: EXPORT_DATASETS }, "Collection"),
+          query("format", { type: "string", enum: EXPORT_FORMATS }, "Output format (default csv)"),
+          symQuery,
+          query("from", TIME, "Start (epoch ms or ISO date, default to - 1h)"),
+          query("to", TIME, "End (epoch ms or ISO date, default now)"),
+        ],
+        responses: {
+          200: {
+            description: "File download (Content-Disposition: attachment)",
+            content: { "text/csv": { schema: { type: "string" } }, "application/x-ndjson": { schema: { type: "string" } } },
+          },
+          ...errors(400),
+        },
+      },
+    },
+    "/backtest": {
+      post: {
+        summary: "Replay stored history through the signal logic and a trading rule",
+        requestBody: body({
+          type: "object",
+          required: ["sym"],
+          properties: {
+            sym: SYM,
+            from: { type: ["string", "number"] },
+            to: { type: ["string", "number"] },
+            stepMs: { type: "number", minimum: 100 },
+            feeBps: { type: "number", minimum: 0 },
+            slippageBps: { type: "number", minimum: 0 },
+            rule: { type: "object" },
+            z: ref("ZOptions"),
+          },
+        }),
+        responses: { 200: json({ type: "object", required: ["sym", "stats", "trades", "equity"] }), ...errors(400) },
+      },
+    },
+    "/predictor": {
+      get: { summary: "Predictor coefficients and out-of-sample metrics", responses: { 200: json({ type: "object", required: ["horizonSec", "perSym"] }) } },
+    },
+    "/predictor/snapshot": {
+      post: {
+        summary: "Save the predictor state to disk",
+        responses: { 200: json({ type: "object", required: ["file", "savedAt", "symbols"] }), ...errors(409) },
+      },
+    },
+    "/predictor/reset": {
+      post: {
+        summary: "Reset one symbol's model, or all with an empty body",
+        requestBody: body({ type: "object", properties: { sym: SYM } }, false),
+        responses: { 200: json({ type: "object", required: ["reset"] }), ...errors(400) },
+      },
+    },
+    "/sources": {
+      get: { summary: "Feed status and dedup counters", responses: { 200: json({ type: "object", required: ["sources", "dedup"] }) } },
+    },
+    "/symbols": {
+      get: {
+        summary: "Tracked symbols",
+        responses: { 200: json({ type: "object", required: ["symbols"], properties: { symbols: { type: "array", items: ref("Symbol") } } }) },
+      },
+      post: {
+        summary: "Add or replace a symbol",
+        requestBody: body({
+          type: "object",
+          required: ["symbol"],
+          properties: {
+            symbol: SYM,
+            name: { type: "string" },
+            pair: { type: "string", pattern: "^[A-Za-z0-9]+$" },
+            venues: { type: "object" },
+            keywords: { type: "array", items: { type: "string" } },
+            exclude: { type: "array", items: { type: "string" } },
+            params: { type: "object" },
+          },
+        }),
+        responses: { 201: json(ref("Symbol"), "Created"), ...errors(400) },
+      },
+    },
+    "/symbols/{sym}": {
+      delete: {
+        summary: "Stop tracking a symbol",
+        parameters: [path("sym", SYM, "Symbol")],
+        responses: { 204: { description: "Removed" }, ...errors(404) },
+      },
+    },
+    "/alerts": {
+      get: {
+        summary: "Alert history, newest last",
+        parameters: [
+          symQuery,
+          query("rule", { type: "string" }, "Rule id"),
+          query("from", TIME, "Start (epoch ms or ISO date)"),
+          query("to", TIME, "End (epoch ms or ISO date)"),
+          query("limit", { type: "integer", minimum: 1, maximum: 1000 }, "Newest N (default 100)"),
+        ],
+        responses: {
+          200: json({ type: "object", required: ["total", "alerts"], properties: { total: num, alerts: { type: "array", items: ref("Alert") } } }),
+          ...errors(400),
+        },
+      },
+    },
+    "/alerts/rules": {
+      get: {
+        summary: "Alert rules",
+        responses: { 200: json({ type: "object", required: ["rules"], properties: { rules: { type: "array", items: ref("AlertRule") } } }) },
+      },
+      post: {
+        summary: "Create an alert rule",
+        requestBody: body(ref("AlertRuleInput")),
+        responses: { 201: json(ref("AlertRule"), "Created"), ...errors(400, 409) },
+      },
+    },
+    "/alerts/rules/{id}": {
+      parameters: [path("id", { type: "string", pattern: "^[A-Za-z0-9-]{1,40}$" }, "Rule id")],
+      put: {
+        summary: "Replace an alert rule",
+        requestBody: body(ref("AlertRuleInput")),
+        responses: { 200: json(ref("AlertRule")), ...errors(400, 404) },
+      },
+      delete: { summary: "Delete an alert rule", responses: { 204: { description: "Deleted" }, ...errors(404) } },
+    },
+    "/alerts/sinks": {
+      get: { summary: "Alert sink status", responses: { 200: json({ type: "object", required: ["sinks"] }) } },
+    },
+    "/alerts/stream": {
+      get: {
+        summary: "Live alert firings (Server-Sent Events, event `alert`)",
+        parameters: [query("sink", { type: "string" }, "SSE sink name (default stream)")],
+        responses: { 200: sse("Event stream"), ...errors(404) },
+      },
+    },
+    "/ws/status": {
+      get: {
+        summary: `WebSocket push status; the socket is /ws (topics: ${TOPICS.join(", ")})`,
+        responses: { 200: json({ type: "object", required: ["clients", "subscriptions"] }) },
+      },
+    },
+    "/analytics": {
+      get: {
+        summary: "Impact KPIs with confidence intervals, event study, live snapshot",
+        parameters: [query("windowMin", { type: "integer", minimum: 1, maximum: 1440 }, "Window (default 60)")],
+        responses: {
+          200: json({
+            type: "object",
+            required: ["windowSeconds", "impacts", "eventStudy", "live"],
+            properties: {
+              windowSeconds: num,
+              impacts: {
+                type: "object",
+                required: ["windowMinutes", "total", "perSym", "byRegime"],
+                properties: { total: ref("ImpactStats"), perSym: { type: "object", additionalProperties: ref("ImpactStats") } },
+              },
+              eventStudy: { type: "object" },
+              live: { type: "object" },
+            },
+          }),
+          ...errors(400),
+        },
+      },
+    },
+    "/analytics/leadlag": {
+      get: {
+        summary: "Sentiment -> return cross-correlation and Granger tests",
+        parameters: [
+          symQuery,
+          query("windowMin", MINUTE_LIST, "Windows in minutes, comma-separated (default 60)"),
+          query("binSec", { type: "number", minimum: 1, maximum: 3600 }, "Bin size (default 10)"),
+          query("maxLag", { type: "integer", minimum: 1, maximum: 120 }, "Max lag in bins (default 12)"),
+          query("order", { type: "integer", minimum: 1, maximum: 10 }, "Granger order (default 3)"),
+          query("source", { type: "string" }, "Only this feed's sentiment"),
+        ],
+        responses: { 200: json({ type: "object", required: ["binSec", "maxLag", "order", "perSym"] }), ...errors(400) },
+      },
+    },
+    "/analytics/stream": {
+      get: {
+        summary: `Typed, resumable Server-Sent Events (${EVENT_TYPES.join(", ")}); send Last-Event-ID to resume`,
+        parameters: [
+          query("sym", { type: "string", pattern: "^[A-Za-z0-9]{2,12}(,[A-Za-z0-9]{2,12})*$" }, "Symbols, comma-separated"),
+          query("types", { type: "string" }, `Event types, comma-separated (${EVENT_TYPES.join(", ")})`),
+          query("lastEventId", { type: "integer", minimum: 0 }, "Resume after this id (instead of the Last-Event-ID header)"),
+        ],
+        responses: { 200: sse("Event stream"), ...errors(400) },
+      },
+    },
+  },
+  components: {
+    responses: {
+      BadRequest: json(ref("Error"), "Invalid request"),
+      NotFound: json(ref("Error"), "Not found"),
+      Conflict: json(ref("Error"), "Conflict"),
+      Unavailable: json(ref("Error"), "Temporarily unavailable"),
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error", "code"],
+        properties: {
+          error: { type: "string" },
+          code: { type: "string" },
+          details: {
+            type: "array",
+            items: { type: "object", required: ["path", "message"], properties: { path: { type: "string" }, message: { type: "string" } } },
+          },
+        },
+      },
+      Provenance: { type: "string", enum: PROVENANCE },
+      Health: {
+        type: "object",
+        required: ["ok", "demo", "provenance"],
+        properties: { ok: { type: "boolean" }, demo: { type: "boolean" }, provenance: ref("Provenance") },
+      },
+      ZOptions: {
+        type: "object",
+        properties: {
+          estimator: { type: "string", enum: Z_ESTIMATORS },
+          binMs: { type: "number", minimum: 100 },
+          lookbackMs: { type: "number", minimum: 100 },
+          halflifeMs: { type: "number", minimum: 100 },
+        },
+      },
+      Signal: {
+        type: "object",
+        required: ["symbol", "lastPrice", "zSent", "zPrice", "divergence", "infoCount1m", "strong", "updatedAt", "provenance"],
+        properties: {
+          symbol: { type: "string" },
+          lastPrice: num,
+          priceDelta1mPct: num,
+          sentDelta1m: num,
+          zSent: num,
+          zPrice: num,
+          divergence: num,
+          zEstimator: { type: "string", enum: Z_ESTIMATORS },
+          predictedNextReturn: num,
+          infoCount1m: { type: "integer" },
+          strong: { type: "boolean" },
+          updatedAt: { type: "string" },
+          regime: { type: ["string", "null"] },
+          volatility: { type: "object" },
+          provenance: ref("Provenance"),
+          energy: { type: "object", properties: { provenance: ref("Provenance") } },
+        },
+      },
+      Impact: {
+        type: "object",
+        required: ["sym", "t", "zSentAtSpike"],
+        properties: {
+          sym: { type: "string" },
+          t: num,
+          zSentAtSpike: num,
+          direction: { type: "integer", enum: [-1, 1] },
+          horizons: { type: "object" },
+          retPct60s: { type: ["number", "null"] },
+          priceAtSpike: { type: ["number", "null"] },
+          priceAfter60s: { type: ["number", "null"] },
+          regime: { type: ["string", "null"] },
+          provenance: ref("Provenance"),
+          energy: { type: "object", properties: { provenance: ref("Provenance") } },
+        },
+      },
+      ImpactStats: {
+        type: "object",
+        required: ["n", "unresolved", "winRate", "avgRet", "confidence"],
+        properties: {
+          n: { type: "integer" },
+          unresolved: { type: "integer" },
+          winRate: { type: ["number", "null"] },
+          avgRet: { type: ["number", "null"] },
+          avgAbs: { type: ["number", "null"] },
+          p95: { type: ["number", "null"] },
+          provenance: { type: ["string", "null"] },
+          confidence: {
+            type: "object",
+            required: ["n", "minSample", "lowSample", "winRateCI", "avgRetCI", "tTest", "binomial"],
+            properties: {
+              lowSample: { type: "boolean" },
+              winRateCI: { type: ["array", "null"], items: num },
+              avgRetCI: { type: ["array", "null"], items: num },
+            },
+          },
+        },
+      },
+      EnergyData: {
+        type: "object",
+        properties: { provenance: ref("Provenance") },
+        additionalProperties: true,
+      },
+      Candle: {
+        type: "object",
+        required: ["t", "o", "h", "l", "c"],
+        properties: { t: num, o: num, h: num, l: num, c: num, v: num, n: { type: "integer" }, vwap: num },
+      },
+      Symbol: {
+        type: "object",
+        required: ["symbol", "name", "pair", "keywords", "params"],
+        properties: {
+          symbol: { type: "string" },
+          name: { type: "string" },
+          pair: { type: "string" },
+          venues: { type: "object" },
+          keywords: { type: "array", items: { type: "string" } },
+          exclude: { type: "array", items: { type: "string" } },
+          params: { type: "object" },
+        },
+      },
+      Condition: {
+        anyOf: [
+          { type: "object", required: ["all"], properties: { all: { type: "array", minItems: 1, items: ref("Condition") } } },
+          { type: "object", required: ["any"], properties: { any: { type: "array", minItems: 1, items: ref("Condition") } } },
+          {
+            type: "object",
+            required: ["field", "op", "value"],
+            properties: {
+              field: { type: "string", minLength: 1 },
+              op: { type: "string", enum: OPS },
+              value: {
+                anyOf: [
+                  { type: "number" },
+                  { type: "string" },
+                  { type: "object", required: ["field"], properties: { field: { type: "string" } } },
+                ],
+              },
+            },
+          },
+        ],
+      },
+      AlertRuleInput: {
+        type: "object",
+        required: ["when"],
+        properties: {
+          id: { type: "string", maxLength: 40 },
+          name: { type: "string" },
+          scope: { type: "string", enum: SCOPES },
+          symbols: { type: "array", items: SYM },
+          when: ref("Condition"),
+          cooldownMs: { type: "number", minimum: 0 },
+          sinks: { type: "array", items: { type: "string" } },
+          enabled: { type: "boolean" },
+        },
+      },
+      AlertRule: {
+        type: "object",
+        required: ["id", "name", "scope", "symbols", "when", "cooldownMs", "sinks", "enabled"],
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          scope: { type: "string", enum: SCOPES },
+          symbols: { type: "array", items: { type: "string" } },
+          when: ref("Condition"),
+          cooldownMs: num,
+          sinks: { type: "array", items: { type: "string" } },
+          enabled: { type: "boolean" },
+        },
+      },
+      Alert: {
+        type: "object",
+        required: ["t", "ruleId", "ruleName", "scope", "sym", "values", "message"],
+        properties: {
+          t: num,
+          ruleId: { type: "string" },
+          ruleName: { type: "string" },
+          scope: { type: "string", enum: SCOPES },
+          sym: { type: "string" },
+          values: { type: "object" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
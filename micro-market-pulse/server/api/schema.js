@@ -0,0 +1,86 @@
+/* ------------------------ Schema checks ------------------------ */
+// The JSON Schema subset the OpenAPI document uses: type (or a list of
+// types), enum, minimum/maximum, minLength/maxLength, pattern, required,
+// properties, additionalProperties, items, minItems/maxItems, anyOf and
+// local $refs ("#/components/schemas/Name").
+
+const typeOf = (v) =>
+  v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v;
+
+function resolve(schema, root) {
+  let s = schema;
+  while (s?.$ref) {
+    s = s.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((o, k) => o?.[k], root);
+    if (!s) throw new Error(`unresolved $ref ${schema.$ref}`);
+  }
+  return s;
+}
+
+// Problems with `value` as [{ path, message }]; empty when it conforms
+export function validate(schema, value, root, path = "") {
+  const s = resolve(schema, root);
+  if (!s || typeof s !== "object") return [];
+  const at = path || "(root)";
+  const errors = [];
+
+  if (s.anyOf) {
+    const branches = s.anyOf.map((b) => validate(b, value, root, path));
+    if (branches.every((e) => e.length)) {
+      errors.push({ path: at, message: "does not match any allowed shape" });
+      return errors;
+    }
+  }
+
+  if (s.type) {
+    const allowed = [].concat(s.type);
+    const actual = typeOf(value);
+    if (!allowed.includes(actual) && !(actual === "integer" && allowed.includes("number"))) {
+      return [{ path: at, message: `must be ${allowed.join(" or ")}` }];
+    }
+  }
+  if (s.enum && !s.enum.includes(value)) errors.push({ path: at, message: `must be one of ${s.enum.join(", ")}` });
+
+  if (typeof value === "number") {
+    if (s.minimum != null && value < s.minimum) errors.push({ path: at, message: `must be >= ${s.minimum}` });
+    if (s.maximum != null && value > s.maximum) errors.push({ path: at, message: `must be <= ${s.maximum}` });
+  }
+  if (typeof value === "string") {
+    if (s.minLength != null && value.length < s.minLength) errors.push({ path: at, message: `must be at least ${s.minLength} characters` });
+    if (s.maxLength != null && value.length > s.maxLength) errors.push({ path: at, message: `must be at most ${s.maxLength} characters` });
+    if (s.pattern && !new RegExp(s.pattern).test(value)) errors.push({ path: at, message: `must match ${s.pattern}` });
+  }
+  if (Array.isArray(value)) {
+    if (s.minItems != null && value.length < s.minItems) errors.push({ path: at, message: `must have at least ${s.minItems} items` });
+    if (s.maxItems != null && value.length > s.maxItems) errors.push({ path: at, message: `must have at most ${s.maxItems} items` });
+    if (s.items) value.forEach((v, i) => errors.push(...validate(s.items, v, root, `${path}[${i}]`)));
+  }
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const k of s.required || []) {
+      if (value[k] === undefined) errors.push({ path: path ? `${path}.${k}` : k, message: "is required" });
+    }
+    for (const [k, v] of Object.entries(value)) {
+      const sub = s.properties?.[k] ?? s.additionalProperties;
+      const key = path ? `${path}.${k}` : k;
+      if (sub === false) errors.push({ path: key, message: "is not allowed" });
+      else if (sub && sub !== true && v !== undefined) errors.push(...validate(sub, v, root, key));
+    }
+  }
+  return errors;
+}
+
+// Query/path strings -> the parameter's schema type; leaves values that
+// don't parse as-is so validate() reports them
+export function coerce(schema, raw, root) {
+  const s = resolve(schema, root) || {};
+  const types = [].concat(s.type || "string");
+  if (raw == null || types.includes("string")) return raw;
+  if (types.includes("integer") || types.includes("number")) {
+    const n = Number(raw);
+    return raw !== "" && Number.isFinite(n) ? n : raw;
+  }
+  if (types.includes("boolean")) return raw === "true" ? true : raw === "false" ? false : raw;
+  return raw;
+}
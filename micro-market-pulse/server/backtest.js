@@ -0,0 +1,179 @@
+import { prune, coreSignal, windowFor, Z_DEFAULTS } from "./signals.js";
+
+/* --------------------------- Backtest -------------------------- */
+// Replays stored ticks and sentiment events for one symbol through the live
+// signal math (signals.js) on a fixed step and trades a divergence rule:
+//   signal      "divergence": enter when |divergence| >= entryZ
+//               "strong": additionally require the signal's strong flag
+//   mode        "follow" trades with the divergence (sentiment ahead of
+//               price -> long), "fade" trades against it
+//   exitZ       exit once |divergence| <= exitZ or it flips sign
+//   maxHoldMs   time stop; allowShort: false skips short entries
+// Every fill pays slippageBps against the trade plus feeBps. Stored ticks are
+// the consolidated price at most once a second, so zPrice here sees a coarser
+// series than the live signal (which sees every trade).
+
+export const DEFAULT_RULE = {
+  signal: "divergence",
+  mode: "follow",
+  entryZ: 1.5,
+  exitZ: 0.5,
+  maxHoldMs: 5 * 60_000,
+  allowShort: true,
+};
+export const MAX_STEPS = 200_000;
+
+const YEAR_MS = 365 * 24 * 60 * 60_000;
+const round = (x, d = 4) => (x == null || !Number.isFinite(x) ? null : Number(x.toFixed(d)));
+
+// Validated rule; throws on bad input
+export function normalizeRule(rule = {}) {
+  const r = { ...DEFAULT_RULE, ...rule };
+  if (!["divergence", "strong"].includes(r.signal)) throw new Error("rule.signal must be divergence or strong");
+  if (!["follow", "fade"].includes(r.mode)) throw new Error("rule.mode must be follow or fade");
+  for (const k of ["entryZ", "exitZ", "maxHoldMs"]) {
+    r[k] = Number(r[k]);
+    if (!Number.isFinite(r[k]) || r[k] < 0) throw new Error(`rule.${k} must be a number >= 0`);
+  }
+  if (r.exitZ >= r.entryZ) throw new Error("rule.exitZ must be below rule.entryZ");
+  r.allowShort = r.allowShort !== false;
+  return r;
+}
+
+// ticks: [{ t, v }], info: [{ t, v, weight }], both sorted and starting a
+// signal window (windowFor(z)) before `from` so the first signals see full
+// windows; z: normalized z-score options (signals.js)
+export function runBacktest({
+  ticks,
+  info,
+  from,
+  to,
+  stepMs = 1000,
+  rule = {},
+  feeBps = 10,
+  slippageBps = 2,
+  maxPoints = 1000,
+  z = Z_DEFAULTS,
+}) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) throw new Error("from must be before to");
+  if (!Number.isFinite(stepMs) || stepMs < 100) throw new Error("stepMs must be >= 100");
+  const steps = Math.floor((to - from) / stepMs) + 1;
+  if (steps > MAX_STEPS) throw new Error(`range too long for stepMs (max ${MAX_STEPS} steps)`);
+  for (const [k, v] of Object.entries({ feeBps, slippageBps })) {
+    if (!Number.isFinite(v) || v < 0) throw new Error(`${k} must be a number >= 0`);
+  }
+  const r = normalizeRule(rule);
+  const fee = feeBps / 1e4;
+  const slip = slippageBps / 1e4;
+  const windowMs = windowFor(z);
+
+  const ps = [];
+  const is = [];
+  let ti = 0;
+  let ii = 0;
+
+  let equity = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let pos = null; // { side, entryT, entryFill, entryEquity, divergence }
+  let exposed = 0;
+  let prevEquity = 1;
+  const stepReturns = [];
+  const trades = [];
+  const curve = [];
+  const every = Math.max(1, Math.ceil(steps / maxPoints));
+
+  const mark = (price) => pos.entryEquity * (1 - fee) * (1 + pos.side * (price / pos.entryFill - 1));
+
+  function close(t, price, reason) {
+    const fill = price * (1 - pos.side * slip);
+    equity = mark(fill) * (1 - fee);
+    trades.push({
+      side: pos.side > 0 ? "long" : "short",
+      entryT: pos.entryT,
+      entryPrice: round(pos.entryFill, 8),
+      exitT: t,
+      exitPrice: round(fill, 8),
+      holdMs: t - pos.entryT,
+      divergenceAtEntry: round(pos.divergence, 2),
+      retPct: round((equity / pos.entryEquity - 1) * 100),
+      reason,
+    });
+    pos = null;
+  }
+
+  for (let k = 0; k < steps; k++) {
+    const now = from + k * stepMs;
+    while (ti < ticks.length && ticks[ti].t <= now) ps.push({ t: ticks[ti].t, v: ticks[ti++].v });
+    while (ii < info.length && info[ii].t <= now) {
+      const { t, v, weight = 1 } = info[ii++];
+      is.push({ t, v: v * weight });
+    }
+    prune(ps, now, windowMs);
+    prune(is, now, windowMs);
+    if (!is.length && k === 0) is.push({ t: now, v: 0 }); // as initSymbolState does live
+
+    const sig = coreSignal(ps, is, now, z);
+    const price = sig.lastPrice;
+
+    if (price) {
+      const dir = Math.sign(sig.divergence) * (r.mode === "fade" ? -1 : 1);
+      if (pos) {
+        const weak = Math.abs(sig.divergence) <= r.exitZ;
+        const flipped = dir !== 0 && dir !== pos.side;
+        const timedOut = r.maxHoldMs > 0 && now - pos.entryT >= r.maxHoldMs;
+        if (weak || flipped || timedOut) close(now, price, weak ? "exit" : flipped ? "flip" : "time");
+      }
+      const trigger = Math.abs(sig.divergence) >= r.entryZ && (r.signal !== "strong" || sig.strong);
+      if (!pos && trigger && dir !== 0 && (dir > 0 || r.allowShort)) {
+        pos = {
+          side: dir,
+          entryT: now,
+          entryFill: price * (1 + dir * slip),
+          entryEquity: equity,
+          divergence: sig.divergence,
+        };
+      }
+    }
+
+    const markEquity = pos && price ? mark(price * (1 - pos.side * slip)) * (1 - fee) : equity;
+    if (pos) exposed += 1;
+    stepReturns.push(markEquity / prevEquity - 1);
+    prevEquity = markEquity;
+    peak = Math.max(peak, markEquity);
+    maxDrawdown = Math.max(maxDrawdown, 1 - markEquity / peak);
+    if (k % every === 0 || k === steps - 1) {
+      curve.push({ t: now, equity: round(markEquity, 6), price, position: pos ? pos.side : 0 });
+    }
+  }
+  if (pos) close(to, ps.at(-1)?.v ?? pos.entryFill, "end");
+
+  const n = stepReturns.length;
+  const mean = stepReturns.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(stepReturns.reduce((a, b) => a + (b - mean) ** 2, 0) / Math.max(1, n - 1));
+  const wins = trades.filter((t) => t.retPct > 0).length;
+
+  return {
+    from,
+    to,
+    stepMs,
+    rule: r,
+    z: { estimator: z.estimator, binMs: z.binMs, lookbackMs: z.lookbackMs, halflifeMs: z.halflifeMs },
+    feeBps,
+    slippageBps,
+    stats: {
+      trades: trades.length,
+      hitRate: trades.length ? round(wins / trades.length, 3) : null,
+      totalReturnPct: round((equity - 1) * 100),
+      avgTradePct: trades.length ? round(trades.reduce((a, t) => a + t.retPct, 0) / trades.length) : null,
+      // per-step returns, annualized
+      sharpe: sd > 0 ? round((mean / sd) * Math.sqrt(YEAR_MS / stepMs), 2) : null,
+      maxDrawdownPct: round(maxDrawdown * 100),
+      exposurePct: round((exposed / steps) * 100, 1),
+      ticks: ticks.length,
+      infoEvents: info.length,
+    },
+    trades,
+    equity: curve,
+  };
+}
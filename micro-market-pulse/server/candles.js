@@ -0,0 +1,87 @@
+/* ------------------------ OHLCV candles ------------------------ */
+// Builds time-bucketed bars per symbol from the trade stream. A bar is keyed
+// by its open time `t` and closes when a trade lands in a later bucket; the
+// onClose callback receives every closed bar (e.g. for persistence).
+//   { t, o, h, l, c, v, n, vwap }   v = base volume, n = trade count
+
+import { lowerBound } from "./store.js";
+
+export const INTERVALS = {
+  "1s": { ms: 1000, keep: 3600 },          // 1 hour
+  "1m": { ms: 60_000, keep: 24 * 60 },     // 1 day
+  "5m": { ms: 5 * 60_000, keep: 7 * 288 }, // 1 week
+  "1h": { ms: 60 * 60_000, keep: 30 * 24 }, // 30 days
+};
+
+function toBar(b) {
+  return {
+    t: b.t,
+    o: b.o,
+    h: b.h,
+    l: b.l,
+    c: b.c,
+    v: Number(b.v.toFixed(8)),
+    n: b.n,
+    vwap: b.v > 0 ? b.pv / b.v : b.c,
+  };
+}
+
+export function createCandleAggregator({ onClose } = {}) {
+  const bars = {}; // sym -> interval -> [raw bar]
+
+  function series(sym, interval) {
+    bars[sym] ??= {};
+    return (bars[sym][interval] ??= []);
+  }
+
+  return {
+    addTrade(sym, t, price, qty = 0) {
+      if (!Number.isFinite(price)) return;
+      const q = Number.isFinite(qty) ? qty : 0;
+
+      for (const [interval, { ms, keep }] of Object.entries(INTERVALS)) {
+        const arr = series(sym, interval);
+        const open = Math.floor(t / ms) * ms;
+        let bar = arr.at(-1);
+
+        if (bar && open < bar.t) continue; // out-of-order trade for a closed bar
+        if (!bar || open > bar.t) {
+          if (bar) onClose?.(interval, sym, toBar(bar));
+          bar = { t: open, o: price, h: price, l: price, c: price, v: 0, pv: 0, n: 0 };
+          arr.push(bar);
+          if (arr.length > keep) arr.splice(0, arr.length - keep);
+        }
+        bar.h = Math.max(bar.h, price);
+        bar.l = Math.min(bar.l, price);
+        bar.c = price;
+        bar.v += q;
+        bar.pv += price * q;
+        bar.n += 1;
+      }
+    },
+
+    // Restores closed bars (e.g. from the store) ahead of live trades
+    seed(sym, interval, closed) {
+      const { keep } = INTERVALS[interval];
+      const arr = series(sym, interval);
+      const restored = closed
+        .filter((b) => !arr.length || b.t < arr[0].t)
+        .map((b) => ({ ...b, pv: (b.vwap ?? b.c) * b.v }));
+      arr.unshift(...restored);
+      if (arr.length > keep) arr.splice(0, arr.length - keep);
+    },
+
+    // Bars with from <= t < to; the still-open bar is flagged closed: false
+    query(sym, interval, { from = -Infinity, to = Infinity, limit = null, now = Date.now() } = {}) {
+      const { ms } = INTERVALS[interval];
+      const arr = bars[sym]?.[interval] || [];
+      let out = arr.slice(lowerBound(arr, from), lowerBound(arr, to));
+      if (limit != null && out.length > limit) out = out.slice(-limit);
+      return out.map((b) => ({ ...toBar(b), closed: b.t + ms <= now }));
+    },
+
+    drop(sym) {
+      delete bars[sym];
+    },
+  };
+}
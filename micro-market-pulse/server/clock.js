@@ -0,0 +1,92 @@
+/* ---------------------------- Clock ---------------------------- */
+// Signal/impact code reads time through now() and schedules through after()
+// and every(), so a replay can drive a virtual clock (at Nx or as fast as
+// possible) and still hit the same windows, debounces and impact timers.
+
+let virtualNow = null; // null => wall clock
+
+const timers = new Set();    // one-shot: { at, fn, handle }
+const intervals = new Set(); // repeating: { ms, fn, nextAt, handle }
+
+export function now() {
+  return virtualNow ?? Date.now();
+}
+
+export function isVirtual() {
+  return virtualNow != null;
+}
+
+export function after(ms, fn) {
+  const timer = { at: now() + ms, fn, handle: null };
+  if (!isVirtual()) {
+    timer.handle = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+  }
+  timers.add(timer);
+  return () => {
+    clearTimeout(timer.handle);
+    timers.delete(timer);
+  };
+}
+
+export function every(ms, fn) {
+  const iv = { ms, fn, nextAt: now() + ms, handle: null };
+  if (!isVirtual()) iv.handle = setInterval(fn, ms);
+  intervals.add(iv);
+  return () => {
+    clearInterval(iv.handle);
+    intervals.delete(iv);
+  };
+}
+
+// Switch to virtual time starting at t; pending wall-clock timers are carried over
+export function useVirtualTime(t) {
+  if (!isVirtual()) {
+    for (const timer of timers) clearTimeout(timer.handle);
+    for (const iv of intervals) clearInterval(iv.handle);
+  }
+  virtualNow = t;
+  for (const iv of intervals) iv.nextAt = t + iv.ms;
+}
+
+export function useWallTime() {
+  if (!isVirtual()) return;
+  const t = Date.now();
+  const offset = t - virtualNow;
+  virtualNow = null;
+  for (const timer of timers) {
+    timer.at += offset;
+    timer.handle = setTimeout(() => {
+      timers.delete(timer);
+      timer.fn();
+    }, Math.max(0, timer.at - t));
+  }
+  for (const iv of intervals) iv.handle = setInterval(iv.fn, iv.ms);
+}
+
+// Move virtual time forward to t, firing due timers/intervals in time order
+export function advanceTo(t) {
+  if (!isVirtual() || t < virtualNow) return;
+  for (;;) {
+    let next = null;
+    for (const timer of timers) if (timer.at <= t && (!next || timer.at < next.at)) next = timer;
+    for (const iv of intervals) if (iv.nextAt <= t && (!next || iv.nextAt < next.at)) next = { at: iv.nextAt, iv };
+    if (!next) break;
+
+    virtualNow = next.at;
+    try {
+      if (next.iv) {
+        next.iv.nextAt += next.iv.ms;
+        next.iv.fn();
+      } else {
+        timers.delete(next);
+        next.fn();
+      }
+    } catch (e) {
+      console.log("[clock] timer error", e.message);
+    }
+  }
+  virtualNow = t;
+}
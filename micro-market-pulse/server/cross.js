@@ -0,0 +1,75 @@
+import { resampleGrid } from "./signals.js";
+import { mean, variance, correlation, zScoreOf } from "./stats.js";
+import { nearestPoint } from "./eventstudy.js";
+
+/* ---------------------- Cross-asset metrics -------------------- */
+// Relationships between two symbols of a pair "BASE/QUOTE" (e.g. ETH/BTC):
+//   returns   per-bin log returns (pct) of both legs on one grid ending at
+//             `now`; correlation and beta of base on quote per window
+//   ratio     base price / quote price, z of the latest bin against the
+//             window's earlier bins
+//   spillover a sentiment spike on one leg -> the other leg's forward return
+//             at the event-study horizons, signed by the spike direction
+
+const round = (x, d = 4) => (x == null || !Number.isFinite(x) ? null : Number(x.toFixed(d)));
+
+// "ETH/BTC" -> { base: "ETH", quote: "BTC" }; throws on a malformed pair
+export function parsePair(s) {
+  const m = /^([A-Z0-9]{2,12})\/([A-Z0-9]{2,12})$/.exec(String(s || "").trim().toUpperCase());
+  if (!m || m[1] === m[2]) throw new Error(`invalid pair ${s} (expected BASE/QUOTE)`);
+  return { base: m[1], quote: m[2] };
+}
+
+// Return correlation / beta and the price ratio over one window
+export function pairWindow(baseTicks, quoteTicks, now, windowMs, binMs) {
+  const bins = Math.floor(windowMs / binMs);
+  const bp = resampleGrid(baseTicks, now, binMs, bins + 1, "last");
+  const qp = resampleGrid(quoteTicks, now, binMs, bins + 1, "last");
+
+  const rb = [];
+  const rq = [];
+  const ratio = [];
+  for (let i = 0; i <= bins; i++) {
+    if (bp[i] != null && qp[i] != null) ratio.push(bp[i] / qp[i]);
+    if (i && bp[i] != null && bp[i - 1] != null && qp[i] != null && qp[i - 1] != null) {
+      rb.push(Math.log(bp[i] / bp[i - 1]) * 100);
+      rq.push(Math.log(qp[i] / qp[i - 1]) * 100);
+    }
+  }
+  const vq = variance(rq);
+  const mb = mean(rb);
+  const mq = mean(rq);
+  const cov = rb.length >= 2 ? rb.reduce((s, x, i) => s + (x - mb) * (rq[i] - mq), 0) / (rb.length - 1) : null;
+
+  return {
+    bins: rb.length,
+    correlation: round(correlation(rb, rq), 3),
+    beta: round(vq && cov != null ? cov / vq : null, 3),
+    ratio: round(ratio.at(-1) ?? null, 6),
+    ratioZ: ratio.length >= 6 ? round(zScoreOf(ratio.at(-1), ratio.slice(0, -1), { estimator: "plain" }), 2) : null,
+  };
+}
+
+// spikes: [{ t, sym, direction }] on `from`; ticks: the other leg's history;
+// horizons: [{ label, ms }]. Horizons not yet due are left out.
+export function spillover(spikes, ticks, horizons, now, maxGapMs) {
+  return {
+    n: spikes.length,
+    horizons: horizons.map(({ label, ms }) => {
+      const signed = [];
+      for (const sp of spikes) {
+        if (sp.t + ms + maxGapMs > now) continue;
+        const p0 = nearestPoint(ticks, sp.t, maxGapMs);
+        const p1 = nearestPoint(ticks, sp.t + ms, maxGapMs);
+        if (p0 && p1) signed.push(Math.log(p1.v / p0.v) * 100 * sp.direction);
+      }
+      return {
+        horizon: label,
+        n: signed.length,
+        avgSignedRetPct: round(mean(signed)),
+        // share of spikes followed by a move in the spike's direction
+        hitRate: signed.length ? round(signed.filter((r) => r > 0).length / signed.length, 2) : null,
+      };
+    }),
+  };
+}
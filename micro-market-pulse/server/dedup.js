@@ -0,0 +1,53 @@
+import crypto from "crypto";
+
+/* ------------------- Info event deduplication ------------------ */
+// Info events carry a stable `id` (hash of the article URL or the feed's own
+// event id) and are also keyed by their normalized title, so the same
+// headline seen on the next poll or from another source is dropped.
+//   id        duplicate for idTtlMs (any source)
+//   titleKey  duplicate for titleTtlMs; a source may set its own window
+//             (Wikimedia uses 0: repeated edits of a page are separate events)
+
+export function hashKey(s) {
+  return crypto.createHash("sha1").update(String(s)).digest("hex").slice(0, 16);
+}
+
+// Case/punctuation/whitespace-insensitive title hash
+export function titleKey(title) {
+  const norm = String(title || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+  return norm ? hashKey(norm) : null;
+}
+
+export function createDeduper({ idTtlMs = 24 * 60 * 60_000, titleTtlMs = 6 * 60 * 60_000 } = {}) {
+  const ids = new Map();    // id -> last seen t
+  const titles = new Map(); // titleKey -> last seen t
+
+  function fresh(map, key, t, ttl) {
+    const at = map.get(key);
+    return at != null && t - at < ttl;
+  }
+
+  return {
+    // true when the event was already seen; records it either way
+    isDuplicate({ id, title, t, titleTtl = titleTtlMs }) {
+      const tk = titleKey(title);
+      const dup = (id && fresh(ids, id, t, idTtlMs)) || (tk && titleTtl > 0 && fresh(titles, tk, t, titleTtl));
+      if (id) ids.set(id, t);
+      if (tk) titles.set(tk, t);
+      return Boolean(dup);
+    },
+
+    // Forget keys older than the longest window (call periodically)
+    sweep(now) {
+      for (const [k, t] of ids) if (now - t >= idTtlMs) ids.delete(k);
+      for (const [k, t] of titles) if (now - t >= Math.max(idTtlMs, titleTtlMs)) titles.delete(k);
+    },
+
+    size() {
+      return { ids: ids.size, titles: titles.size };
+    },
+  };
+}
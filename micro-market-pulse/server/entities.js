@@ -0,0 +1,86 @@
+import { listSymbols } from "./symbols.js";
+
+/* ----------------------- Entity matching ----------------------- */
+// Finds tracked symbols in headlines / page titles on whole tokens only, so
+// "Method", "Ethiopia" or "Bethlehem" no longer count as ETH. Per registry
+// entry:
+//   keywords  aliases; multi-word aliases match as token sequences and a
+//             plural "s" is allowed ("bitcoins")
+//   exclude   phrases that veto an overlapping hit ("eth zurich")
+// Confidence per hit (the best hit per symbol wins):
+//   $ETH cashtag 1.0 · name/alias 0.9 · ticker in caps "ETH" 0.8 · "eth" 0.6
+
+export const CONFIDENCE = { cashtag: 1, alias: 0.9, tickerUpper: 0.8, ticker: 0.6 };
+export const MIN_CONFIDENCE = 0.5;
+
+// [{ text, lower, start, end, cashtag }] for every word in `text`
+export function tokenize(text) {
+  const tokens = [];
+  const re = /(\$?)([\p{L}\p{N}]+)/gu;
+  let m;
+  while ((m = re.exec(String(text || "")))) {
+    tokens.push({
+      text: m[2],
+      lower: m[2].toLowerCase(),
+      start: m.index,
+      end: m.index + m[0].length,
+      cashtag: m[1] === "$",
+    });
+  }
+  return tokens;
+}
+
+const phraseTokens = (phrase) => tokenize(phrase).map((t) => t.lower);
+
+// Token index ranges [i, j) where `words` occurs, optionally allowing a plural "s"
+function findPhrase(tokens, words, allowPlural) {
+  const hits = [];
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    let ok = true;
+    for (let k = 0; k < words.length && ok; k++) {
+      const tok = tokens[i + k].lower;
+      const last = k === words.length - 1;
+      ok = tok === words[k] || (last && allowPlural && tok === words[k] + "s");
+    }
+    if (ok) hits.push([i, i + words.length]);
+  }
+  return hits;
+}
+
+// [{ sym, confidence, alias }] sorted by confidence, at most one per symbol
+export function matchEntities(text, { entries = listSymbols(), minConfidence = MIN_CONFIDENCE } = {}) {
+  const tokens = tokenize(text);
+  if (!tokens.length) return [];
+
+  const out = [];
+  for (const entry of entries) {
+    const ticker = entry.symbol.toLowerCase();
+    const vetoes = (entry.exclude || []).flatMap((p) => findPhrase(tokens, phraseTokens(p), false));
+    const vetoed = ([i, j]) => vetoes.some(([a, b]) => i < b && a < j);
+
+    let best = null;
+    const consider = (range, confidence, alias) => {
+      if (vetoed(range)) return;
+      if (!best || confidence > best.confidence) best = { sym: entry.symbol, confidence, alias };
+    };
+
+    for (const alias of new Set([ticker, ...entry.keywords])) {
+      const words = phraseTokens(alias);
+      if (!words.length) continue;
+      const isTicker = alias === ticker;
+
+      for (const range of findPhrase(tokens, words, !isTicker)) {
+        const tok = tokens[range[0]];
+        if (!isTicker) {
+          consider(range, CONFIDENCE.alias, alias);
+        } else if (tok.cashtag) {
+          consider(range, CONFIDENCE.cashtag, `$${entry.symbol}`);
+        } else {
+          consider(range, tok.text === entry.symbol ? CONFIDENCE.tickerUpper : CONFIDENCE.ticker, alias);
+        }
+      }
+    }
+    if (best && best.confidence >= minConfidence) out.push(best);
+  }
+  return out.sort((a, b) => b.confidence - a.confidence);
+}
@@ -0,0 +1,56 @@
+/* ------------------------- Event log --------------------------- */
+// Typed events for the SSE stream, numbered by a monotonic id and kept in a
+// bounded replay buffer so a reconnecting client can send Last-Event-ID and
+// receive what it missed. Events: { id, type, sym, t, data }, sym null for
+// events that are not about one symbol.
+
+export const EVENT_TYPES = ["signal", "impact", "strong", "source-status", "energy"];
+
+export function createEventLog({ capacity = 5000 } = {}) {
+  const buffer = []; // oldest first, ids consecutive
+  const listeners = new Set();
+  let nextId = 1;
+
+  return {
+    append(type, sym, data, t = Date.now()) {
+      const ev = { id: nextId++, type, sym, t, data };
+      buffer.push(ev);
+      if (buffer.length > capacity) buffer.splice(0, buffer.length - capacity);
+      for (const fn of listeners) fn(ev);
+      return ev;
+    },
+
+    // Events after `lastId`; complete is false when some of them have
+    // already left the buffer (or the id is from an earlier server run)
+    since(lastId) {
+      const oldest = buffer[0]?.id ?? nextId;
+      if (!Number.isInteger(lastId) || lastId < 0 || lastId >= nextId) return { events: [], complete: false };
+      return { events: buffer.slice(Math.max(0, lastId + 1 - oldest)), complete: lastId + 1 >= oldest };
+    },
+
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    status() {
+      return { lastId: nextId - 1, buffered: buffer.length, oldestId: buffer[0]?.id ?? null, capacity };
+    },
+  };
+}
+
+// Query-string filter: ?sym=BTC,ETH&types=signal,impact (absent = all).
+// Events with no symbol pass any symbol filter. Throws on unknown types.
+export function eventFilter({ sym, types } = {}) {
+  const syms = sym ? new Set(String(sym).toUpperCase().split(",").filter(Boolean)) : null;
+  const kinds = types ? new Set(String(types).split(",").filter(Boolean)) : null;
+  for (const k of kinds || []) {
+    if (!EVENT_TYPES.includes(k)) throw new Error(`unknown event type ${k} (one of ${EVENT_TYPES.join(", ")})`);
+  }
+  return (ev) => (!kinds || kinds.has(ev.type)) && (!syms || ev.sym == null || syms.has(ev.sym));
+}
+
+// One event as an SSE frame
+export function sseFrame(ev) {
+  return `id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev.data)}\n\n`;
+}
@@ -0,0 +1,208 @@
+/* ------------------------- Event study ------------------------- */
+// Follows each sentiment spike over several horizons instead of a single
+// 60s return. Per event:
+//   baseline   price drift over the pre-event window (pct per ms), used as
+//              the expected return: abnormal = raw - drift * elapsed
+//   horizons   { "30s": { t, tickT, price, retPct, arPct } } or
+//              { t, unresolved: true } when the price history has a gap
+//   mae / mfe  worst / best excursion in the spike's direction (pct, >= 0)
+//   path       [{ dt, retPct, arPct }] sampled every pathStepMs
+// An event completes (onComplete) once its longest horizon is resolved.
+
+import { lowerBound } from "./store.js";
+
+export const DEFAULT_HORIZONS = ["5s", "30s", "60s", "5m", "15m"];
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60_000, h: 60 * 60_000 };
+
+// "30s" / "5m" / "1h" / "250ms" / plain ms -> ms, NaN when invalid
+export function parseDuration(v) {
+  const m = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(String(v).trim());
+  return m ? Number(m[1]) * UNIT_MS[m[2] || "ms"] : NaN;
+}
+
+const round = (x, d = 4) => (x == null || !Number.isFinite(x) ? null : Number(x.toFixed(d)));
+
+// Drift per ms from the first to the last baseline point ({ t, v }, sorted)
+function baselineDrift(points, minSpanMs) {
+  const first = points[0];
+  const last = points.at(-1);
+  if (!first || !last || last.t - first.t < minSpanMs || !first.v) {
+    return { driftPerMs: 0, spanMs: last && first ? last.t - first.t : 0, n: points.length, usable: false };
+  }
+  return {
+    driftPerMs: (last.v / first.v - 1) / (last.t - first.t),
+    spanMs: last.t - first.t,
+    n: points.length,
+    usable: true,
+  };
+}
+
+// Point of `points` (sorted by t) closest to t, or null if none within maxGapMs
+export function nearestPoint(points, t, maxGapMs) {
+  const i = lowerBound(points, t);
+  let best = null;
+  for (const p of [points[i - 1], points[i]]) {
+    if (p && Math.abs(p.t - t) <= maxGapMs && (!best || Math.abs(p.t - t) < Math.abs(best.t - t))) best = p;
+  }
+  return best;
+}
+
+// Horizons are resolved from the price history, not from whatever price is
+// current when a timer fires: each (event, horizon) pair waits in a queue
+// sorted by due time (horizon + maxGapMs, so ticks just after it count) and
+// is then matched to the tick nearest the exact horizon timestamp.
+// series(sym, from, to) must return [{ t, v }] sorted by t with from <= t < to.
+// A horizon with no tick within maxGapMs is marked unresolved.
+export function createEventStudy({
+  horizons = DEFAULT_HORIZONS,
+  baselineMs = 5 * 60_000,
+  pathStepMs = 5000,
+  maxGapMs = 5000,
+  series,
+  onComplete,
+} = {}) {
+  const spec = horizons
+    .map((label) => ({ label, ms: parseDuration(label) }))
+    .filter((h) => h.ms > 0)
+    .sort((a, b) => a.ms - b.ms);
+  if (!spec.length) throw new Error("event study needs at least one horizon");
+  const maxMs = spec.at(-1).ms;
+
+  const queue = []; // [{ t: dueAt, ev, h }] sorted by due time
+  const open = new Set();
+
+  function returns(ev, tick, dt) {
+    const retPct = (tick.v / ev.price - 1) * 100;
+    return { retPct, arPct: retPct - ev.driftPerMs * dt * 100 };
+  }
+
+  function resolveHorizon(ev, h) {
+    const at = ev.t + h.ms;
+    const tick = nearestPoint(series(ev.sym, at - maxGapMs, at + maxGapMs + 1), at, maxGapMs);
+    if (!tick) {
+      ev.horizons[h.label] = { t: at, unresolved: true };
+      return;
+    }
+    const { retPct, arPct } = returns(ev, tick, h.ms);
+    ev.horizons[h.label] = { t: at, tickT: tick.t, price: tick.v, retPct: round(retPct), arPct: round(arPct) };
+  }
+
+  // Path and excursions from every tick up to the longest horizon
+  function complete(ev) {
+    const ticks = series(ev.sym, ev.t, ev.t + maxMs + 1);
+    let mae = null;
+    let mfe = null;
+    for (const tick of ticks) {
+      const signed = ev.direction * returns(ev, tick, tick.t - ev.t).arPct;
+      mfe = Math.max(mfe ?? 0, signed);
+      mae = Math.max(mae ?? 0, -signed);
+    }
+    const path = [];
+    for (let dt = 0; dt <= maxMs; dt += pathStepMs) {
+      const tick = nearestPoint(ticks, ev.t + dt, Math.min(maxGapMs, pathStepMs / 2));
+      const r = tick && returns(ev, tick, dt);
+      path.push({ dt, retPct: round(r?.retPct), arPct: round(r?.arPct) });
+    }
+    open.delete(ev);
+    const unresolved = spec.filter((h) => ev.horizons[h.label].unresolved).map((h) => h.label);
+    onComplete?.({ ...view(ev), maePct: round(mae), mfePct: round(mfe), path, unresolved });
+  }
+
+  function view(ev) {
+    const { driftPerMs, remaining: _remaining, ...rest } = ev;
+    return { ...rest, baseline: { ...ev.baseline, driftPctPerMin: round(driftPerMs * 60_000 * 100) } };
+  }
+
+  return {
+    horizons: spec,
+    maxMs,
+    baselineMs,
+    maxGapMs,
+
+    // Queues a spike at every horizon; the baseline drift comes from series()
+    open({ sym, t, price, direction = 1, meta = {} }) {
+      const b = baselineDrift(series(sym, t - baselineMs, t + 1), baselineMs / 2);
+      const ev = {
+        ...meta,
+        sym,
+        t,
+        price,
+        direction: direction < 0 ? -1 : 1,
+        driftPerMs: b.driftPerMs,
+        baseline: { spanMs: b.spanMs, n: b.n, usable: b.usable },
+        horizons: {},
+        remaining: spec.length,
+      };
+      for (const h of spec) {
+        const entry = { t: t + h.ms + maxGapMs, ev, h };
+        queue.splice(lowerBound(queue, entry.t + 1), 0, entry);
+      }
+      open.add(ev);
+      return ev;
+    },
+
+    // Resolves every queued horizon due at `now`; completes finished events
+    resolve(now) {
+      let n = 0;
+      while (n < queue.length && queue[n].t <= now) n++;
+      for (const { ev, h } of queue.splice(0, n)) {
+        if (!open.has(ev)) continue; // dropped meanwhile
+        resolveHorizon(ev, h);
+        if (--ev.remaining === 0) complete(ev);
+      }
+    },
+
+    // Open events with the horizons resolved so far and the next due time
+    pending(sym = null) {
+      return [...open]
+        .filter((ev) => !sym || ev.sym === sym)
+        .map((ev) => ({ ...view(ev), nextDueAt: queue.find((q) => q.ev === ev)?.t ?? null }));
+    },
+
+    drop(sym) {
+      for (const ev of open) if (ev.sym === sym) open.delete(ev);
+    },
+  };
+}
+
+/* ------------------------- CAAR curves ------------------------- */
+// Cumulative average abnormal return across completed events, per horizon and
+// along the sampled path. caarPct is signed by spike direction (positive =
+// price moved the way sentiment pointed); rawCaarPct is unsigned.
+export function caarCurves(events, horizons) {
+  const usable = events.filter((e) => e.horizons && e.path);
+  const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+  const byHorizon = horizons.map(({ label, ms }) => {
+    const hits = usable.map((e) => ({ e, h: e.horizons[label] })).filter(({ h }) => h?.arPct != null);
+    return {
+      horizon: label,
+      ms,
+      n: hits.length,
+      caarPct: round(mean(hits.map(({ e, h }) => e.direction * h.arPct))),
+      rawCaarPct: round(mean(hits.map(({ h }) => h.arPct))),
+      avgRetPct: round(mean(hits.map(({ h }) => h.retPct))),
+    };
+  });
+
+  const steps = Math.max(0, ...usable.map((e) => e.path.length));
+  const curve = [];
+  for (let k = 0; k < steps; k++) {
+    const pts = usable.map((e) => ({ e, p: e.path[k] })).filter(({ p }) => p?.arPct != null);
+    if (!pts.length) continue;
+    curve.push({
+      dt: pts[0].p.dt,
+      n: pts.length,
+      caarPct: round(mean(pts.map(({ e, p }) => e.direction * p.arPct))),
+    });
+  }
+
+  return {
+    n: usable.length,
+    horizons: byHorizon,
+    curve,
+    avgMaePct: round(mean(usable.map((e) => e.maePct).filter(Number.isFinite))),
+    avgMfePct: round(mean(usable.map((e) => e.mfePct).filter(Number.isFinite))),
+  };
+}
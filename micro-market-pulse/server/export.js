@@ -0,0 +1,121 @@
+/* --------------------------- Export ---------------------------- */
+// Bulk export of stored collections as CSV or NDJSON. Every dataset has a
+// fixed column list, so a file's header does not depend on which fields its
+// first record happens to carry; NDJSON lines hold the same columns as
+// objects (missing values are null). Nested values are flattened:
+//   impacts  retPct_<h> / arPct_<h> per event-study horizon, energy totals
+//   ticks    venues joined with ";"
+// Columns are only ever appended to, so existing notebooks keep working.
+
+export const EXPORT_DATASETS = ["impacts", "signals", "ticks", "info"];
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+const CHUNK_ROWS = 1000; // rows per write; the stream waits for "drain" in between
+
+const col = (name, get = (r) => r[name]) => ({ name, get });
+const iso = col("time", (r) => new Date(r.t).toISOString());
+const list = (xs) => (Array.isArray(xs) ? xs.join(";") : null);
+
+// Column definitions per dataset; impacts take the configured horizon labels
+export function exportColumns(horizonLabels) {
+  return {
+    impacts: [
+      col("t"),
+      iso,
+      col("sym"),
+      col("direction"),
+      col("zSentAtSpike"),
+      col("priceAtSpike"),
+      col("regime"),
+      ...horizonLabels.flatMap((h) => [
+        col(`retPct_${h}`, (r) => r.horizons?.[h]?.retPct),
+        col(`arPct_${h}`, (r) => r.horizons?.[h]?.arPct),
+      ]),
+      col("maePct"),
+      col("mfePct"),
+      col("unresolved", (r) => list(r.unresolved)),
+      col("completedAt"),
+      col("energyCostKWh", (r) => r.energy?.totalEnergyCostKWh),
+      col("carbonCostKg", (r) => r.energy?.totalCarbonCostKg),
+      col("energyProvenance", (r) => r.energy?.provenance),
+      col("provenance"),
+    ],
+    signals: [
+      col("t"),
+      iso,
+      col("sym"),
+      col("lastPrice"),
+      col("priceDelta1mPct"),
+      col("sentDelta1m"),
+      col("zSent"),
+      col("zPrice"),
+      col("divergence"),
+      col("zEstimator"),
+      col("predictedNextReturn"),
+      col("infoCount1m"),
+      col("strong"),
+      col("regime"),
+      col("crossVenueSpreadPct"),
+      col("provenance"),
+    ],
+    ticks: [col("t"), iso, col("sym"), col("price", (r) => r.v), col("venues", (r) => list(r.venues))],
+    info: [
+      col("t"),
+      iso,
+      col("sym"),
+      col("source"),
+      col("engine"),
+      col("score", (r) => r.v),
+      col("weight"),
+      col("confidence"),
+      col("id"),
+      col("publishedAt"),
+      col("url"),
+      col("text"),
+    ],
+  };
+}
+
+// RFC 4180: quote cells holding a delimiter, quote or line break
+export function csvCell(v) {
+  if (v == null || (typeof v === "number" && !Number.isFinite(v))) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function formatRow(rec, columns, format) {
+  if (format === "csv") return columns.map((c) => csvCell(c.get(rec))).join(",") + "\r\n";
+  const out = {};
+  for (const c of columns) out[c.name] = c.get(rec) ?? null;
+  return JSON.stringify(out) + "\n";
+}
+
+export const contentType = (format) => (format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson");
+
+// Streams rows to a writable (an HTTP response); stops early if it closes.
+// Resolves with the number of rows written.
+export async function writeExport(out, rows, columns, format) {
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  if (format === "csv") out.write(columns.map((c) => csvCell(c.name)).join(",") + "\r\n");
+
+  let written = 0;
+  for (let i = 0; i < rows.length; i += CHUNK_ROWS) {
+    if (out.destroyed) break;
+    let chunk = "";
+    for (const rec of rows.slice(i, i + CHUNK_ROWS)) chunk += formatRow(rec, columns, format);
+    written += Math.min(CHUNK_ROWS, rows.length - i);
+    if (!out.write(chunk)) {
+      await new Promise((resolve) => {
+        const done = () => {
+          out.off("drain", done);
+          out.off("close", done);
+          resolve();
+        };
+        out.on("drain", done);
+        out.on("close", done);
+      });
+    }
+  }
+  out.end();
+  return written;
+}
@@ -0,0 +1,75 @@
+import { runBacktest, normalizeRule } from "../backtest.js";
+import { createChecks } from "./expect.js";
+
+/* ---------------------- Backtest PnL check --------------------- */
+// Runs the backtester over a seeded synthetic hour (random-walk price,
+// noisy sentiment with two bursts) and checks the accounting: every trade's
+// return follows from its fills and fees, trade returns compound to the
+// total, and costs only ever lower it:
+//   node fixtures/check-backtest.js
+
+const check = createChecks();
+
+// Seeded Park–Miller generator so every run sees the same series
+let seed = 7;
+const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+const T0 = 1_700_000_000_000;
+const ticks = [];
+let price = 100;
+for (let s = 0; s < 3600; s++) {
+  price *= 1 + (rand() - 0.5) / 500;
+  ticks.push({ t: T0 + s * 1000, v: price });
+}
+const info = [];
+for (let s = 0; s < 3600; s += 15) info.push({ t: T0 + s * 1000, v: (rand() - 0.5) / 5 });
+for (const at of [1500, 2400]) for (let k = 0; k < 6; k++) info.push({ t: T0 + (at + k * 3) * 1000, v: 0.9 });
+info.sort((a, b) => a.t - b.t);
+
+const range = { ticks, info, from: T0 + 1200_000, to: T0 + 1800_000 };
+const feeBps = 10;
+const base = runBacktest({ ...range, feeBps, slippageBps: 2 });
+const { trades, stats } = base;
+
+check.ok("scenario trades", trades.length > 0, `${trades.length} trades`);
+
+// Equity ratio of one round trip: fee on entry and exit, fills already
+// include slippage
+const fee = feeBps / 1e4;
+const worst = Math.max(
+  0,
+  ...trades.map((t) => {
+    const side = t.side === "long" ? 1 : -1;
+    const want = ((1 - fee) ** 2 * (1 + side * (t.exitPrice / t.entryPrice - 1)) - 1) * 100;
+    return Math.abs(t.retPct - want);
+  })
+);
+check.ok("trade returns follow from fills and fees", worst < 1e-3, `max error ${worst.toExponential(2)}`);
+
+const compounded = (trades.reduce((eq, t) => eq * (1 + t.retPct / 100), 1) - 1) * 100;
+check.near("trade returns compound to the total", stats.totalReturnPct, compounded, 0.01);
+
+const free = runBacktest({ ...range, feeBps: 0, slippageBps: 0 });
+check.ok("costs don't change the trades", free.trades.length === trades.length, `${free.trades.length} vs ${trades.length}`);
+check.ok("costs lower the total return", free.stats.totalReturnPct > stats.totalReturnPct,
+  `${free.stats.totalReturnPct}% free vs ${stats.totalReturnPct}%`);
+check.near("each trade pays 2 fees + 2 slippages",
+  (free.trades.reduce((a, t) => a + t.retPct, 0) - trades.reduce((a, t) => a + t.retPct, 0)) / trades.length, 0.24, 0.01);
+
+const again = runBacktest({ ...range, feeBps, slippageBps: 2 });
+check.ok("deterministic", JSON.stringify(again.stats) === JSON.stringify(stats));
+
+// No sentiment and a flat price: nothing to trade, no drawdown
+const flat = runBacktest({
+  ticks: ticks.map((t) => ({ t: t.t, v: 100 })),
+  info: [],
+  from: range.from,
+  to: range.to,
+});
+check.ok("flat market: no trades", flat.stats.trades === 0 && flat.stats.totalReturnPct === 0 && flat.stats.maxDrawdownPct === 0,
+  JSON.stringify({ trades: flat.stats.trades, total: flat.stats.totalReturnPct, dd: flat.stats.maxDrawdownPct }));
+
+check.throws("exitZ must be below entryZ", () => normalizeRule({ entryZ: 1, exitZ: 1 }), /exitZ must be below/);
+check.throws("range must be ordered", () => runBacktest({ ticks, info, from: T0 + 1000, to: T0 }), /from must be before to/);
+
+check.done();
@@ -0,0 +1,23 @@
+import fs from "fs";
+import { loadSymbols } from "../symbols.js";
+import { matchEntities } from "../entities.js";
+import { createChecks } from "./expect.js";
+
+/* ------------------ Entity matching corpus check --------------- */
+// Runs entity-corpus.json (true and false positives) against the symbols.json
+// registry and exits non-zero on any mismatch:
+//   node fixtures/check-entities.js
+
+loadSymbols();
+const corpus = JSON.parse(fs.readFileSync(new URL("./entity-corpus.json", import.meta.url), "utf8"));
+
+const check = createChecks();
+for (const { text, expect } of corpus) {
+  const matches = matchEntities(text);
+  const got = matches.map((m) => m.sym).sort();
+  const want = expect.slice().sort();
+  const ok = got.join(",") === want.join(",");
+  const detail = matches.map((m) => `${m.sym}:${m.confidence}`).join(" ") || "-";
+  check.ok(JSON.stringify(text), ok, `${detail}${ok ? "" : ` (want ${want.join(",") || "none"})`}`);
+}
+check.done();
@@ -0,0 +1,81 @@
+import { createOrderBooks } from "../orderbook.js";
+import { loadSymbols } from "../symbols.js";
+import createBinanceDepthSource from "../sources/binance-depth.js";
+import { startMockBinance } from "./mock-binance.js";
+import { createChecks } from "./expect.js";
+
+/* ---------------------- Order book check ----------------------- */
+// Checks spread, ±band depth and imbalance against a hand-computed book, then
+// drives one depth snapshot from the mock Binance server through the depth
+// source into the books:
+//   node fixtures/check-orderbook.js
+
+const check = createChecks();
+
+/* ---- Hand-computed book ---- */
+// mid 100, ±0.5% band = [99.5, 100.5]: bids 99.9 + 99.5 in, 99.4 and 98 out;
+// asks 100.1 + 100.4 in, 100.6 out. Levels arrive unsorted, zero qty drops.
+const bids = [[99.4, 3], [99.9, 1], [98, 5], [99.5, 2], [99.8, 0]];
+const asks = [[100.6, 4], [100.1, 0.5], [100.4, 1]];
+const books = createOrderBooks();
+books.update("BTC", 1000, bids, asks);
+const m = books.metrics("BTC");
+check.ok("best bid/ask", m.bestBid === 99.9 && m.bestAsk === 100.1, `${m.bestBid} / ${m.bestAsk}`);
+check.near("mid", m.mid, 100, 1e-9);
+check.near("spread", m.spread, 0.2, 1e-9);
+check.near("spreadBps", m.spreadBps, 20, 1e-9);
+check.near("bid depth in band", m.bidDepth, 3, 1e-9);
+check.near("ask depth in band", m.askDepth, 1.5, 1e-9);
+check.near("bid notional", m.bidNotional, 99.9 + 2 * 99.5, 1e-9);
+check.near("ask notional", m.askNotional, 0.5 * 100.1 + 100.4, 1e-9);
+check.near("imbalance", m.imbalance, 0.333, 1e-9);
+check.ok("zero-qty levels dropped", m.levels.bids === 4 && m.levels.asks === 3, JSON.stringify(m.levels));
+
+const wide = createOrderBooks({ bandPct: 2 });
+wide.update("BTC", 1000, bids, asks);
+// ±2% = [98, 102]: every level is in, 11 bid vs 5.5 ask
+check.near("wider band takes deeper levels", wide.metrics("BTC").bidDepth, 11, 1e-9);
+check.near("ask depth with the wider band", wide.metrics("BTC").askDepth, 5.5, 1e-9);
+check.near("imbalance with the wider band", wide.metrics("BTC").imbalance, Number((5.5 / 16.5).toFixed(3)), 1e-9);
+
+const top = createOrderBooks({ levels: 2 });
+top.update("BTC", 1000, bids, asks);
+check.ok("keeps the top N levels", top.get("BTC").bids.map(([p]) => p).join() === "99.9,99.5",
+  JSON.stringify(top.get("BTC").bids));
+
+books.update("ETH", 1000, [[10, 1]], []);
+check.ok("one-sided book has no metrics", books.metrics("ETH") === null);
+check.ok("unknown symbol has no metrics", books.metrics("SOL") === null);
+books.drop("BTC");
+check.ok("drop forgets the book", books.get("BTC") === null);
+
+/* ---- Mock Binance depth ---- */
+loadSymbols();
+const mock = startMockBinance({ port: Number(process.env.MOCK_PORT) || 9445, depthMs: 200 });
+const source = createBinanceDepthSource({ url: mock.url, levels: 5, backoff: { initialMs: 200 } });
+const live = createOrderBooks();
+const event = await new Promise((resolve) => {
+  const timer = setTimeout(() => resolve(null), 5000);
+  source.onEvent((ev) => {
+    if (ev.sym !== "BTC") return;
+    clearTimeout(timer);
+    resolve(ev);
+  });
+  source.start();
+});
+source.stop();
+await mock.close();
+
+check.ok("mock depth snapshot received", event?.type === "book", event ? `${event.source} ${event.sym}` : "timed out");
+if (event) {
+  live.update(event.sym, event.t, event.bids, event.asks);
+  const b = live.metrics("BTC");
+  check.ok("five levels a side", b.levels.bids === 5 && b.levels.asks === 5, JSON.stringify(b.levels));
+  check.ok("book is not crossed", b.bestBid < b.bestAsk, `${b.bestBid} / ${b.bestAsk}`);
+  // The mock quotes one 1bp tick either side of its price
+  check.near("mock spread", b.spreadBps, 2, 0.05);
+  check.near("whole mock book inside the band", b.bidDepth, event.bids.reduce((s, [, q]) => s + q, 0), 1e-6);
+  check.ok("imbalance in [-1, 1]", Math.abs(b.imbalance) <= 1, String(b.imbalance));
+}
+
+check.done();
@@ -0,0 +1,76 @@
+import { createPredictor, featureVector, FEATURES } from "../predictor.js";
+import { createChecks } from "./expect.js";
+
+/* ------------------- Online predictor check -------------------- */
+// Fits the RLS predictor on seeded synthetic linear series and checks that it
+// recovers the coefficients, that observe()/resolve() score against the tick
+// at t + horizon, and that snapshot/restore/reset round-trip:
+//   node fixtures/check-predictor.js
+
+const check = createChecks();
+
+// Seeded Park–Miller generator so every run sees the same series
+let seed = 11;
+const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+// actual = 0.05 + 0.3·zSent − 0.2·zPrice + 0.1·log1p(infoCount1m)
+const TRUE = [0.05, 0.3, -0.2, 0.1];
+const truth = (f) => featureVector(f).reduce((s, x, i) => s + x * TRUE[i], 0);
+const features = () => ({ zSent: (rand() - 0.5) * 6, zPrice: (rand() - 0.5) * 6, infoCount1m: Math.floor(rand() * 30) });
+
+function fit(noise) {
+  const p = createPredictor();
+  for (let i = 0; i < 2000; i++) {
+    const f = features();
+    p.learn("BTC", f, truth(f) + (rand() - 0.5) * noise);
+  }
+  return p;
+}
+
+/* ---- Convergence ---- */
+for (const [noise, tol] of [[0, 1e-4], [0.5, 0.02]]) {
+  const p = fit(noise);
+  const { coefficients, samples } = p.metrics("BTC");
+  check.ok(`learned every sample (noise ${noise})`, samples === 2000, String(samples));
+  FEATURES.forEach((name, i) => check.near(`${name} converges (noise ${noise})`, coefficients[name], TRUE[i], tol));
+}
+const exact = fit(0);
+const f = { zSent: 1.5, zPrice: -0.5, infoCount1m: 4 };
+check.near("prediction matches the series", exact.predict("BTC", f), truth(f), 1e-4);
+exact.learn("BTC", f, NaN);
+check.ok("non-finite outcomes are ignored", exact.metrics("BTC").samples === 2000);
+
+/* ---- observe / resolve ---- */
+const T0 = 1_700_000_000_000;
+const ticks = [{ t: T0, v: 100 }, { t: T0 + 61_000, v: 101 }];
+const series = (sym, from, to) => ticks.filter((k) => k.t >= from && k.t < to);
+const live = createPredictor({ horizonMs: 60_000, sampleMs: 5000, maxGapMs: 5000, series });
+live.observe("BTC", T0, f, 100);
+live.observe("BTC", T0 + 1000, f, 100); // inside sampleMs: dropped
+live.observe("BTC", T0 + 30_000, f, 100); // no tick near T0 + 90s: skipped
+check.ok("one sample per sampleMs", live.metrics("BTC").pending === 2, String(live.metrics("BTC").pending));
+live.resolve(T0 + 64_999);
+check.ok("waits for horizon + maxGap", live.metrics("BTC").evaluated === 0);
+live.resolve(T0 + 200_000);
+const m = live.metrics("BTC");
+check.ok("resolved against the tick at t + horizon", m.evaluated === 1 && m.samples === 1 && m.skipped === 1,
+  JSON.stringify({ evaluated: m.evaluated, samples: m.samples, skipped: m.skipped }));
+check.near("scored before learning (out-of-sample)", m.mae, 1, 1e-9);
+
+/* ---- snapshot / restore / reset ---- */
+const copy = createPredictor();
+copy.restore(JSON.parse(JSON.stringify(exact.snapshot())));
+check.ok("restore reproduces predictions", copy.predict("BTC", f) === exact.predict("BTC", f));
+check.ok("restore reproduces metrics",
+  JSON.stringify(copy.metrics("BTC").coefficients) === JSON.stringify(exact.metrics("BTC").coefficients));
+check.throws("restore rejects another horizon", () => createPredictor({ horizonMs: 30_000 }).restore(exact.snapshot()),
+  /does not match/);
+check.throws("restore rejects other features",
+  () => copy.restore({ ...exact.snapshot(), features: ["bias", "zSent"] }), /does not match/);
+copy.reset("BTC");
+const cleared = copy.metrics("BTC");
+check.ok("reset clears the model", cleared.samples === 0 && Object.values(cleared.coefficients).every((w) => w === 0),
+  JSON.stringify(cleared.coefficients));
+check.ok("reset leaves the source untouched", exact.metrics("BTC").samples === 2000);
+
+check.done();
@@ -0,0 +1,80 @@
+import { mean, tTest, binomialTest, bootstrapCI, zScoreOf } from "../stats.js";
+import { coreSignal, Z_DEFAULTS } from "../signals.js";
+import { createChecks } from "./expect.js";
+
+/* -------------------- Tests & intervals check ------------------ */
+// Checks the impact-confidence statistics against values worked out by hand
+// (exact binomial sums, closed-form t tails for small df), the bootstrap
+// interval for determinism and sanity, and z-scores on sparse series:
+//   node fixtures/check-stats.js
+
+const check = createChecks();
+
+/* ---- Binomial ---- */
+// 9 of 10: P(X ≥ 9) + P(X ≤ 1) = 22 / 1024
+check.near("binomial 9/10", binomialTest(9, 10).pValue, 22 / 1024, 1e-9);
+check.near("binomial 5/10", binomialTest(5, 10).pValue, 1, 1e-9);
+check.near("binomial 0/5", binomialTest(0, 5).pValue, 2 / 32, 1e-9);
+// 7 of 20: 2 · Σ_{i≤7} C(20, i) / 2^20
+check.near("binomial 7/20", binomialTest(7, 20).pValue, (2 * 137980) / 2 ** 20, 1e-9);
+// 0 of 10 at p = 0.1: every outcome but k = 1 is no likelier than k = 0
+check.near("binomial 0/10, p = 0.1", binomialTest(0, 10, 0.1).pValue, 1 - 10 * 0.1 * 0.9 ** 9, 1e-9);
+check.ok("binomial with no trials", binomialTest(0, 0).pValue === null);
+
+/* ---- t-test ---- */
+// Two-sided tails in closed form: df 1 (Cauchy), df 2, df 4
+const tail1 = (t) => 1 - (2 / Math.PI) * Math.atan(Math.abs(t));
+const tail2 = (t) => 1 - Math.abs(t) / Math.sqrt(2 + t * t);
+const tail4 = (t) => {
+  const u = Math.abs(t) / Math.sqrt(1 + (t * t) / 4);
+  return 1 - (3 / 4) * u * (1 - (u * u) / 12);
+};
+const t1 = tTest([1, 3]);
+check.ok("t-test df 1", t1.t === 2 && t1.df === 1, JSON.stringify(t1));
+check.near("t-test df 1 p-value", t1.pValue, tail1(2), 1e-9);
+const t2 = tTest([1, 2, 3]);
+check.near("t-test df 2 statistic", t2.t, 2 * Math.sqrt(3), 1e-9);
+check.near("t-test df 2 p-value", t2.pValue, tail2(2 * Math.sqrt(3)), 1e-9);
+const t4 = tTest([1, 2, 3, 4, 5]);
+check.near("t-test df 4 statistic", t4.t, 3 * Math.sqrt(2), 1e-9);
+check.near("t-test df 4 p-value", t4.pValue, tail4(3 * Math.sqrt(2)), 1e-9);
+const atMean = tTest([1, 2, 3, 4, 5], 3);
+check.ok("t-test at the mean", atMean.t === 0 && atMean.pValue === 1, JSON.stringify(atMean));
+check.ok("t-test needs 2 samples", tTest([1]).t === null && tTest([1]).pValue === null);
+check.ok("t-test of a constant", tTest([2, 2, 2]).pValue === null);
+
+/* ---- Bootstrap ---- */
+const xs = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const ci = bootstrapCI(xs, mean);
+check.ok("bootstrap brackets the mean", ci[0] < 5.5 && 5.5 < ci[1], JSON.stringify(ci));
+// Normal approximation: 5.5 ± 1.96 · sd / √10 ≈ [3.72, 7.28]
+check.near("bootstrap lower bound", ci[0], 3.72, 0.3);
+check.near("bootstrap upper bound", ci[1], 7.28, 0.3);
+check.ok("bootstrap is seeded", JSON.stringify(bootstrapCI(xs, mean)) === JSON.stringify(ci));
+const narrow = bootstrapCI(xs, mean, { level: 0.5 });
+check.ok("lower level, narrower interval", narrow[1] - narrow[0] < ci[1] - ci[0], JSON.stringify(narrow));
+check.ok("bootstrap of a constant", JSON.stringify(bootstrapCI([2, 2, 2], mean)) === "[2,2]");
+check.ok("bootstrap needs 2 samples", bootstrapCI([1], mean) === null && bootstrapCI([], mean) === null);
+
+/* ---- z-scores ---- */
+// A lone headline after a flat lookback has no scale to be measured against
+const flat = new Array(23).fill(0);
+for (const estimator of ["plain", "ewma", "mad"]) {
+  check.ok(`flat history scores 0 (${estimator})`,
+    zScoreOf(0.05, flat, { estimator }) === 0 && zScoreOf(-0.01, flat, { estimator }) === 0);
+}
+// Sparse history: the MAD is 0, so mad falls back to the plain sd
+const sparse = [...new Array(20).fill(0), 0.2, 0, -0.2];
+const sd = Math.sqrt(0.08 / 22);
+check.near("sparse history, plain", zScoreOf(0.1, sparse), 0.1 / sd, 1e-9);
+check.near("sparse history, mad", zScoreOf(0.1, sparse, { estimator: "mad" }), 0.1 / sd, 1e-9);
+check.ok("sparse z follows magnitude", zScoreOf(0.05, sparse) < zScoreOf(0.5, sparse));
+check.ok("plain is the default estimator", Z_DEFAULTS.estimator === "plain");
+
+// One small headline on the 5s grid after two quiet minutes: no spike
+const T0 = 1_700_000_000_000;
+const prices = Array.from({ length: 130 }, (_, s) => ({ t: T0 + s * 1000, v: 100 + (s % 2) * 0.01 }));
+const lone = coreSignal(prices, [{ t: T0 + 128_000, v: 0.05 }], T0 + 129_000);
+check.ok("lone headline is not a spike", Math.abs(lone.zSent) < 1.2, String(lone.zSent));
+
+check.done();
@@ -0,0 +1,40 @@
+/* --------------------- Check script helpers -------------------- */
+// Assertions for the fixtures/check-*.js scripts: every check prints an
+// ok/FAIL line, done() prints the tally and exits non-zero on any failure.
+
+export function createChecks() {
+  let passed = 0;
+  let failed = 0;
+
+  function report(ok, label, detail) {
+    if (ok) passed += 1;
+    else failed += 1;
+    console.log(`${ok ? "ok  " : "FAIL"} ${label}${detail ? ` → ${detail}` : ""}`);
+    return ok;
+  }
+
+  return {
+    ok: (label, cond, detail = "") => report(Boolean(cond), label, detail),
+
+    // |got - want| <= tol
+    near(label, got, want, tol = 1e-9) {
+      const ok = Number.isFinite(got) && Math.abs(got - want) <= tol;
+      return report(ok, label, ok ? String(got) : `${got} (want ${want} ± ${tol})`);
+    },
+
+    // fn() throws an Error whose message matches `pattern`
+    throws(label, fn, pattern) {
+      try {
+        fn();
+      } catch (e) {
+        return report(pattern.test(e.message), label, e.message);
+      }
+      return report(false, label, "did not throw");
+    },
+
+    done() {
+      console.log(`${passed}/${passed + failed} passed`);
+      process.exit(failed ? 1 : 0);
+    },
+  };
+}
@@ -0,0 +1,77 @@
+import { WebSocketServer } from "ws";
+import { fileURLToPath } from "url";
+
+/* --------------------- Mock Binance WS server ------------------ */
+// Offline stand-in for the combined-stream endpoint. Speaks SUBSCRIBE /
+// UNSUBSCRIBE and pushes random-walk `@trade` and `@depth<N>` frames in the
+// Binance payload shapes. Point sources at it with fixtures/sources.mock.json:
+//   node fixtures/mock-binance.js            (listens on :9444, path /stream)
+//   SOURCES_CONFIG=fixtures/sources.mock.json node index.js
+
+const BASE_PRICES = { btcusdt: 40000, ethusdt: 2500 };
+
+export function startMockBinance({ port = 9444, tradeMs = 200, depthMs = 1000 } = {}) {
+  const wss = new WebSocketServer({ port, path: "/stream" });
+  const prices = {};
+
+  const priceOf = (pair) => (prices[pair] ??= BASE_PRICES[pair] || 100);
+  const step = (pair) => (prices[pair] = priceOf(pair) * (1 + (Math.random() - 0.5) / 1000));
+
+  function depthFrame(pair, levels) {
+    const mid = priceOf(pair);
+    const tick = mid * 0.0001;
+    const side = (dir) =>
+      Array.from({ length: levels }, (_, i) => [
+        (mid + dir * tick * (i + 1)).toFixed(2),
+        (Math.random() * 2).toFixed(4),
+      ]);
+    return { lastUpdateId: Date.now(), bids: side(-1), asks: side(1) };
+  }
+
+  wss.on("connection", (ws) => {
+    const streams = new Set();
+
+    ws.on("message", (raw) => {
+      try {
+        const { method, params = [], id } = JSON.parse(raw.toString());
+        if (method === "SUBSCRIBE") params.forEach((s) => streams.add(s));
+        if (method === "UNSUBSCRIBE") params.forEach((s) => streams.delete(s));
+        ws.send(JSON.stringify({ result: null, id }));
+      } catch {}
+    });
+
+    const send = (stream, data) => ws.readyState === ws.OPEN && ws.send(JSON.stringify({ stream, data }));
+
+    const tradeTimer = setInterval(() => {
+      for (const stream of streams) {
+        const [pair, kind] = stream.split("@");
+        if (kind !== "trade") continue;
+        const p = step(pair);
+        send(stream, { e: "trade", E: Date.now(), s: pair.toUpperCase(), p: p.toFixed(2), q: (Math.random() / 10).toFixed(5), T: Date.now() });
+      }
+    }, tradeMs);
+
+    const depthTimer = setInterval(() => {
+      for (const stream of streams) {
+        const [pair, kind] = stream.split("@");
+        const m = /^depth(\d+)$/.exec(kind || "");
+        if (m) send(stream, depthFrame(pair, Number(m[1])));
+      }
+    }, depthMs);
+
+    ws.on("close", () => {
+      clearInterval(tradeTimer);
+      clearInterval(depthTimer);
+    });
+  });
+
+  return {
+    url: `ws://localhost:${port}/stream`,
+    close: () => new Promise((resolve) => wss.close(resolve)),
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = startMockBinance({ port: Number(process.env.MOCK_PORT) || 9444 });
+  console.log(`[mock-binance] listening on ${mock.url}`);
+}
@@ -1,84 +1,327 @@
 import express from "express";
 import cors from "cors";
-import { EventSource } from "eventsource";
-import WebSocket from "ws";
-import vader from "vader-sentiment";
 import fetch from "node-fetch";
 import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  loadSymbols,
+  listSymbols,
+  symbolNames,
+  getSymbol,
+  upsertSymbol,
+  removeSymbol,
+  onSymbolsChange,
+} from "./symbols.js";
+import { loadSources, startSources, sourceStatus, sourceSetting } from "./sources/index.js";
+import { scoreAll, hasEngine, compareEngines, DEFAULT_ENGINE } from "./sentiment/index.js";
+import { createRecorder } from "./recorder.js";
+import { createStore } from "./store.js";
+import { createCandleAggregator, INTERVALS } from "./candles.js";
+import { createOrderBooks } from "./orderbook.js";
+import { createVenueAggregator } from "./venues.js";
+import { createDeduper } from "./dedup.js";
+import { createEventStudy, caarCurves, parseDuration, DEFAULT_HORIZONS } from "./eventstudy.js";
+import { prune, coreSignal, normalizeZOptions, windowFor } from "./signals.js";
+import { runBacktest } from "./backtest.js";
+import { createPredictor } from "./predictor.js";
+import { leadLag } from "./leadlag.js";
+import { marketState, REGIMES, RV_WINDOWS } from "./regime.js";
+import { mean, tTest, binomialTest, bootstrapCI } from "./stats.js";
+import { parsePair, pairWindow, spillover } from "./cross.js";
+import { createPushHub } from "./push.js";
+import { createEventLog, eventFilter, sseFrame } from "./events.js";
+import { loadAlerts, listRules, getRule, addRule, upsertRule, removeRule, getSink, sinkStatus, checkAlerts } from "./alerts/index.js";
+import { weakest } from "./provenance.js";
+import { exportColumns, writeExport, contentType, EXPORT_DATASETS, EXPORT_FORMATS } from "./export.js";
+import { openapi } from "./api/openapi.js";
+import { createApiValidator, sendError, notFound, errorHandler } from "./api/index.js";
+import * as clock from "./clock.js";
 
 // --- Flags / env ---
-const REPLAY = process.env.DEMO_REPLAY === "1";
+// Demo mode (DEMO_MODE=1, or the older DEMO_REPLAY=1) is the only place
+// synthetic ticks, sentiment and impacts are generated
+const DEMO = process.env.DEMO_MODE === "1" || process.env.DEMO_REPLAY === "1";
+const RECORD_DIR = process.env.RECORD_DIR || null;   // record raw feed traffic here
+const REPLAY_FILE = process.env.REPLAY_FILE || null; // NDJSON file or directory to play back
+const REPLAY_SPEED = process.env.REPLAY_SPEED || "1"; // 1, N or "max"
+// Provenance of signals and impacts computed in this run (see provenance.js)
+const DATA_PROVENANCE = REPLAY_FILE ? "replay" : DEMO ? "synthetic" : "live";
 
 const app = express();
 app.use(cors());
+app.use(express.json());
+
+// REST routes live on one router served at /api/v1 and, for existing
+// clients, at the old unversioned paths. /api/v1 requests are validated
+// against the OpenAPI document (api/openapi.js) first; the old paths keep
+// their lenient parsing (bad values fall back to defaults).
+// API_VALIDATE_RESPONSES=1 also checks what /api/v1 routes send back.
+const api = express.Router();
+const validator = createApiValidator(openapi, { validateResponses: process.env.API_VALIDATE_RESPONSES === "1" });
+app.use("/api/v1", validator, api);
+app.use(api);
+app.use(notFound);
+app.use(errorHandler);
+
+// --- Durable history (ticks, sentiment events, signal snapshots, impacts) ---
+// Retention per collection in hours, override via RETAIN_<NAME>_H. Replays
+// and demo mode keep history in memory only.
+const HOUR_MS = 60 * 60_000;
+const DATA_DIR = process.env.DATA_DIR || fileURLToPath(new URL("./data", import.meta.url));
+const retainHours = (name, fallback) => Number(process.env[`RETAIN_${name}_H`]) || fallback;
+const store = createStore({
+  dir: DATA_DIR,
+  persist: !REPLAY_FILE && !DEMO,
+  retention: {
+    ticks: retainHours("TICKS", 24) * HOUR_MS,
+    info: retainHours("INFO", 7 * 24) * HOUR_MS,
+    signals: retainHours("SIGNALS", 7 * 24) * HOUR_MS,
+    impacts: retainHours("IMPACTS", 30 * 24) * HOUR_MS,
+    spikes: retainHours("SPIKES", 24) * HOUR_MS,
+    candles: retainHours("CANDLES", 30 * 24) * HOUR_MS,
+    alerts: retainHours("ALERTS", 7 * 24) * HOUR_MS,
+  },
+});
+store.load();
+
+// --- Symbols we track (see symbols.json / POST /symbols) ---
+loadSymbols({ dataDir: DATA_DIR });
+
+// --- Alert rules and sinks (see alerts/index.js, alerts.json) ---
+await loadAlerts({ dataDir: DATA_DIR });
+
+// --- WebSocket push (see push.js): current state on subscribe, then every
+// signal, impact, alert and consolidated tick as it is produced ---
+const push = createPushHub({
+  snapshot(topic, sym) {
+    const syms = sym ? [sym] : symbolNames();
+    if (topic === "signals") return syms.map((s) => signalCache[s]).filter(Boolean);
+    if (topic === "ticks") return syms.map((s) => priceStore[s]?.at(-1) && { sym: s, ...priceStore[s].at(-1) }).filter(Boolean);
+    const name = topic === "impacts" ? "impacts" : "alerts";
+    return store.latest(name, 20, sym).map(withoutPath);
+  },
+});
+
+// --- Typed event log behind /analytics/stream (see events.js) ---
+const events = createEventLog({ capacity: Number(process.env.EVENT_BUFFER) || 5000 });
+const wasStrong = {}; // sym -> strong on the previous signal update
+
+// `source-status` whenever a feed changes state
+{
+  const lastState = {};
+  setInterval(() => {
+    for (const st of sourceStatus()) {
+      if (lastState[st.name] === st.state) continue;
+      lastState[st.name] = st.state;
+      events.append("source-status", null, st, clock.now());
+    }
+  }, 5000);
+}
+
+// Runs the alert rules of `scope` over one record and keeps the firings
+function raiseAlerts(scope, sym, record) {
+  for (const alert of checkAlerts(scope, sym, record, clock.now())) {
+    store.append("alerts", alert);
+    push.publish("alerts", sym, alert);
+  }
+}
+
+// --- Info event dedup across polls and sources (see dedup.js) ---
+const deduper = createDeduper();
+const dedupStats = {}; // feed -> { accepted, dropped }
+for (const r of store.query("info", { from: clock.now() - 24 * HOUR_MS })) {
+  deduper.isDuplicate({ id: r.id, title: r.text, t: r.t });
+}
 
-// --- Symbols we track ---
-const SYMBOLS = ["BTC", "ETH"];
-const BINANCE_SYMBOLS = { BTC: "btcusdt", ETH: "ethusdt" };
+setInterval(() => {
+  store.compact(clock.now());
+  deduper.sweep(clock.now());
+  if (!REPLAY_FILE && !DEMO) savePredictor();
+}, 10 * 60_000);
+
+const TICK_PERSIST_MS = 1000;     // at most one stored tick per symbol per second
+const SIGNAL_SNAPSHOT_MS = 10_000; // signal snapshot cadence per symbol
+const lastTickPersistAt = {};
+const lastSnapshotAt = {};
+
+// --- OHLCV bars from the trade stream (1s bars stay in memory only) ---
+const candles = createCandleAggregator({
+  onClose(interval, sym, bar) {
+    if (interval !== "1s") store.append("candles", { ...bar, sym, interval });
+  },
+});
+
+// --- Local top-N order books (binance-depth source) ---
+const books = createOrderBooks({ levels: 20, bandPct: 0.5 });
+
+// --- Cross-venue price consolidation (binance, coinbase, kraken) ---
+// priceStore holds the consolidated price so one bad venue can't skew zPrice.
+// Candles stay on the primary venue's trades.
+const PRIMARY_VENUE = "binance";
+const venues = createVenueAggregator({
+  method: process.env.PRICE_CONSOLIDATION || "median", // median | vwap
+  maxDeviationPct: Number(process.env.VENUE_MAX_DEVIATION_PCT) || 1,
+});
+
+// --- z-score estimator for zPrice/zSent (see signals.js) ---
+// Z_ESTIMATOR plain | ewma | mad, Z_BIN grid step, Z_LOOKBACK history scored
+// against, Z_HALFLIFE for ewma
+const Z = normalizeZOptions({
+  estimator: process.env.Z_ESTIMATOR || undefined,
+  binMs: process.env.Z_BIN ? parseDuration(process.env.Z_BIN) : undefined,
+  lookbackMs: process.env.Z_LOOKBACK ? parseDuration(process.env.Z_LOOKBACK) : undefined,
+  halflifeMs: process.env.Z_HALFLIFE ? parseDuration(process.env.Z_HALFLIFE) : undefined,
+});
+const SIGNAL_WINDOW_MS = windowFor(Z);
+const zSummary = (z) => ({
+  estimator: z.estimator,
+  binSec: z.binMs / 1000,
+  lookbackSec: z.lookbackMs / 1000,
+  ...(z.estimator === "ewma" && { halflifeSec: z.halflifeMs / 1000 }),
+});
 
-// --- Rolling window state ---
-const WINDOW_MS = 120_000; // 2 minutes
-const priceStore = { BTC: [], ETH: [] };  // each: [{ t, v }]
-const infoStore  = { BTC: [], ETH: [] };  // each: [{ t, v }]
-const signalCache = { BTC: null, ETH: null };
+// --- Rolling window state (SIGNAL_WINDOW_MS) ---
+const priceStore = {};  // sym -> [{ t, v }]
+const infoStore  = {};  // sym -> [{ t, v }]
+const signalCache = {}; // sym -> latest signal
 
 // --- Energy consumption data cache ---
 let energyData = null;
 let lastEnergyFetch = 0;
 const ENERGY_CACHE_MS = 3600000; // Cache for 1 hour (data updates daily)
 
-{
-  const now = Date.now();
-  infoStore.BTC.push({ t: now, v: 0 });
-  infoStore.ETH.push({ t: now, v: 0 });
-}
-
 // --- Impact detection config/state ---
-const IMPACT_WINDOW_MS = 60_000; // measure return 60s after spike
 const SENT_SPIKE_Z     = 1.2;    // lower threshold so you see events live
 const MIN_SEP_MS       = 15_000; // debounce per symbol
 
-const impacts = [];                    // { sym, t, zSentAtSpike, retPct60s }
-const lastSpikeAt = { BTC: 0, ETH: 0 };
+// Each spike is followed by the event study (eventstudy.js) at every horizon
+// in IMPACT_HORIZONS; abnormal returns are measured against the price drift
+// over IMPACT_BASELINE before the spike. Horizons resolve against the stored
+// ticks nearest their exact timestamp (IMPACT_MAX_GAP tolerance). Spikes are
+// stored as they happen so pending events are re-queued after a restart;
+// completed events live in the store:
+// { sym, t, zSentAtSpike, direction, horizons, maePct, mfePct, path, unresolved, retPct60s, ... }
+const impactStudy = createEventStudy({
+  horizons: process.env.IMPACT_HORIZONS?.split(",") || DEFAULT_HORIZONS,
+  baselineMs: parseDuration(process.env.IMPACT_BASELINE || "5m"),
+  maxGapMs: parseDuration(process.env.IMPACT_MAX_GAP || "5s"),
+  series: (sym, from, to) => store.query("ticks", { sym, from, to }),
+  onComplete: recordImpact,
+});
+const lastSpikeAt = {};
 
-// Generate fake historic data for demonstration
+// Re-queue stored spikes that never produced an impact record
+{
+  const spikes = store.query("spikes");
+  const done = new Set(
+    store.query("impacts", { from: spikes[0]?.t ?? Infinity }).map((i) => `${i.sym}:${i.t}`)
+  );
+  const restored = spikes.filter((s) => !done.has(`${s.sym}:${s.t}`) && getSymbol(s.sym));
+  for (const { sym, t, price, direction, zSentAtSpike, features, regime = null } of restored) {
+    impactStudy.open({ sym, t, price, direction, meta: { zSentAtSpike, features, regime } });
+  }
+  if (restored.length) console.log(`[impact] re-queued ${restored.length} pending event(s)`);
+}
+
+// --- Online forward-return model behind predictedNextReturn (predictor.js) ---
+// Learns from live features resolved against the tick history and from
+// completed impacts; state is snapshotted to DATA_DIR/predictor.json every
+// 10 minutes and on POST /predictor/snapshot, and restored on start.
+const PREDICTOR_FILE = path.join(DATA_DIR, "predictor.json");
+const predictor = createPredictor({
+  horizonMs: parseDuration(process.env.PREDICTOR_HORIZON || "60s"),
+  series: (sym, from, to) => store.query("ticks", { sym, from, to }),
+});
+if (!REPLAY_FILE && fs.existsSync(PREDICTOR_FILE)) {
+  try {
+    predictor.restore(JSON.parse(fs.readFileSync(PREDICTOR_FILE, "utf8")));
+    console.log(`[predictor] restored from ${PREDICTOR_FILE}`);
+  } catch (e) {
+    console.log("[predictor] snapshot ignored:", e.message);
+  }
+}
+function savePredictor() {
+  const snap = predictor.snapshot();
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(PREDICTOR_FILE, JSON.stringify(snap));
+  return snap;
+}
+
+// Per-symbol state is created/dropped as the registry changes; rolling
+// windows are rehydrated from the store so signals survive a restart
+function initSymbolState(sym) {
+  const from = clock.now() - SIGNAL_WINDOW_MS;
+  priceStore[sym] ??= store.query("ticks", { sym, from }).map(({ t, v }) => ({ t, v }));
+  infoStore[sym] ??= store.query("info", { sym, from }).map(({ t, v, weight = 1 }) => ({ t, v: v * weight }));
+  if (!infoStore[sym].length) infoStore[sym].push({ t: clock.now(), v: 0 });
+  const stored = store.query("candles", { sym });
+  for (const interval of Object.keys(INTERVALS)) {
+    candles.seed(sym, interval, stored.filter((b) => b.interval === interval));
+  }
+  signalCache[sym] ??= null;
+  lastSpikeAt[sym] ??= 0;
+}
+function dropSymbolState(sym) {
+  delete priceStore[sym];
+  delete infoStore[sym];
+  delete signalCache[sym];
+  delete lastSpikeAt[sym];
+  candles.drop(sym);
+  books.drop(sym);
+  venues.drop(sym);
+  impactStudy.drop(sym);
+  predictor.drop(sym);
+}
+symbolNames().forEach(initSymbolState);
+
+onSymbolsChange(({ type, symbol }) => {
+  if (type === "removed") dropSymbolState(symbol);
+  else initSymbolState(symbol);
+  console.log(`[symbols] ${type} ${symbol}`);
+});
+
+// Fake historic impacts for demo mode only (see DEMO); tagged synthetic
 function generateFakeHistoricImpacts(energyData) {
   const fakeImpacts = [];
   const now = Date.now();
-  const symbols = ["BTC", "ETH"];
+  const symbols = listSymbols();
+  if (!symbols.length) return fakeImpacts;
   
   // Generate 15 fake impacts over the last 30 minutes
   for (let i = 0; i < 15; i++) {
-    const sym = symbols[Math.floor(Math.random() * symbols.length)];
+    const { symbol: sym, params } = symbols[Math.floor(Math.random() * symbols.length)];
     const t = now - (i * 2 * 60 * 1000) - Math.random() * 60 * 1000; // Stagger over last 30 min
     const zSentAtSpike = (Math.random() * 2 + 1.2) * (Math.random() > 0.5 ? 1 : -1); // Between 1.2 and 3.2
     const retPct60s = (Math.random() * 4 - 2); // Between -2% and +2%
-    const priceAtSpike = sym === "BTC" ? 40000 + Math.random() * 10000 : 2500 + Math.random() * 1000;
+    const priceAtSpike = params.demoBasePrice + Math.random() * params.demoPriceSpread;
     const priceAfter60s = priceAtSpike * (1 + retPct60s / 100);
     
     // Calculate energy metrics if available
     let energyMetrics = null;
     if (energyData && energyData[sym]) {
       const energyPerTx = energyData[sym].perTransaction;
-      const estimatedTxInWindow = sym === "BTC" ? 600 : 180;
+      const { estimatedTxInWindow } = params;
       const energyCostKWh = energyPerTx?.electricalEnergyKWh 
         ? (energyPerTx.electricalEnergyKWh * estimatedTxInWindow) 
-        : (sym === "BTC" ? 637.5 : 324);
+        : params.fallbackImpactEnergyKWh;
       const carbonCostKg = energyPerTx?.carbonFootprintKgCO2
         ? (energyPerTx.carbonFootprintKgCO2 * estimatedTxInWindow)
-        : (sym === "BTC" ? 355.6 : 162);
+        : params.fallbackImpactCarbonKg;
 
       energyMetrics = {
-        energyPerTxKWh: energyPerTx?.electricalEnergyKWh || (sym === "BTC" ? 1062.57 : 0.024),
+        energyPerTxKWh: energyPerTx?.electricalEnergyKWh || params.fallbackEnergyPerTxKWh,
         estimatedTxInWindow,
-        totalEnergyCostKWh: Number(energyCostKWh.toFixed(2)),
-        totalCarbonCostKg: Number(carbonCostKg.toFixed(2)),
+        totalEnergyCostKWh: energyCostKWh != null ? Number(energyCostKWh.toFixed(2)) : null,
+        totalCarbonCostKg: carbonCostKg != null ? Number(carbonCostKg.toFixed(2)) : null,
+        provenance: "synthetic",
       };
     }
     
     fakeImpacts.push({
       sym,
       t,
+      provenance: "synthetic",
       zSentAtSpike: Number(zSentAtSpike.toFixed(2)),
       retPct60s: Number(retPct60s.toFixed(3)),
       priceAtSpike,
@@ -92,74 +335,57 @@ function generateFakeHistoricImpacts(energyData) {
 }
 
 /* --------------------------- Helpers --------------------------- */
-function prune(arr) {
-  const cutoff = Date.now() - WINDOW_MS;
-  while (arr.length && arr[0].t < cutoff) arr.shift();
+// Query-string time: epoch ms or ISO date; undefined when absent, NaN when invalid
+function parseTimeParam(v) {
+  if (v == null || v === "") return undefined;
+  return Number.isFinite(Number(v)) ? Number(v) : Date.parse(v);
 }
-function delta1m(series) {
-  const cutoff = Date.now() - 60_000;
-  const recent = series.filter((d) => d.t >= cutoff);
-  if (!recent.length) return 0;
-  return recent[recent.length - 1].v - recent[0].v;
-}
-function count1m(series) {
-  const cutoff = Date.now() - 60_000;
-  return series.filter((d) => d.t >= cutoff).length;
-}
-function zScore(series) {
-  if (series.length < 5) return { z: 0, latest: null };
-  const vals = series.map((d) => d.v);
-  const latest = vals.at(-1);
-  const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
-  const varsum = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / Math.max(1, vals.length - 1);
-  const sd = Math.sqrt(varsum) || 1;
-  return { z: (latest - mean) / sd, latest };
+
+// Per-venue last prices and cross-venue spread for the signal row
+function venueSummary(c) {
+  if (!c) return { venues: {}, crossVenueSpreadPct: null, consolidation: null };
+  return {
+    venues: Object.fromEntries(
+      Object.entries(c.venues).map(([name, v]) => [
+        name,
+        { price: v.price, ageMs: v.ageMs, stale: v.stale, outlier: v.outlier, deviationPct: v.deviationPct },
+      ])
+    ),
+    crossVenueSpreadPct: c.crossVenueSpreadPct,
+    consolidation: { method: c.method, usedVenues: c.usedVenues, venueCount: c.venueCount },
+  };
 }
 
 /* --------------------- Signals computation --------------------- */
 function computeSignals() {
-  for (const sym of SYMBOLS) {
-    prune(priceStore[sym]);
-    prune(infoStore[sym]);
+  for (const { symbol: sym, params } of listSymbols()) {
+    prune(priceStore[sym], clock.now(), SIGNAL_WINDOW_MS);
+    prune(infoStore[sym], clock.now(), SIGNAL_WINDOW_MS);
 
     const ps = priceStore[sym];
     const is = infoStore[sym];
-
-    // Price side
-    let pctPriceDelta = 0;
-    const lastPrice = ps.length ? ps[ps.length - 1].v : null;
-
-    if (ps.length >= 2) {
-      const pDelta = delta1m(ps);
-      const firstP = ps[0]?.v ?? null;
-      if (firstP && lastPrice) pctPriceDelta = (pDelta / firstP) * 100;
-    }
-
-    // Info/Sentiment side
-    const sDelta = is.length ? delta1m(is) : 0;
-
-    // Use diffs → z-scores
-    const priceDiffs =
-      ps.length >= 2 ? ps.slice(1).map((d, i) => ({ t: d.t, v: d.v - ps[i].v })) : [];
-    const infoDiffs =
-      is.length >= 2 ? is.slice(1).map((d, i) => ({ t: d.t, v: d.v - is[i].v })) : [];
-
-    const { z: zPrice = 0 } = priceDiffs.length ? zScore(priceDiffs) : { z: 0 };
-    const { z: zSent  = 0 } = infoDiffs.length  ? zScore(infoDiffs)  : { z: 0 };
-    const divergence = zSent - zPrice;
-
-    // toy predictor (UI only)
-    const pred = 0.6 * (zSent || 0) - 0.2 * (zPrice || 0);
-
-    // info volume last minute
-    const infoCount = count1m(is);
+    const { lastPrice, pctPriceDelta, sDelta, zSent, zPrice, divergence, infoCount, strong } =
+      coreSignal(ps, is, clock.now(), Z);
+
+    // Learned forward return (pct over the predictor horizon); every signal
+    // also becomes a training sample once its horizon has passed
+    const features = { zSent, zPrice, infoCount1m: infoCount };
+    const pred = predictor.predict(sym, features);
+    predictor.observe(sym, clock.now(), features, lastPrice);
+
+    // Market state: realized / high-low volatility and regime (regime.js)
+    const { regime, volatility } = marketState(
+      store.query("ticks", { sym, from: clock.now() - RV_WINDOWS["60m"] }),
+      candles.query(sym, "1m", { limit: 31, now: clock.now() }).filter((b) => b.closed),
+      clock.now()
+    );
 
     // Calculate energy context for this signal
     let energyContext = null;
     if (energyData && energyData[sym] && lastPrice) {
       const energyPerTx = energyData[sym].perTransaction;
       // Estimate hourly transaction volume based on network activity
-      const estimatedHourlyTx = sym === "BTC" ? 21600 : 10800; // Rough estimates
+      const { estimatedHourlyTx } = params; // Rough estimate from symbols.json
       const hourlyEnergyKWh = energyPerTx?.electricalEnergyKWh 
         ? (energyPerTx.electricalEnergyKWh * estimatedHourlyTx)
         : null;
@@ -171,6 +397,8 @@ function computeSignals() {
         hourlyEnergyKWh: hourlyEnergyKWh ? Number(hourlyEnergyKWh.toFixed(2)) : null,
         annualizedEnergyTWh: energyData[sym].annualized?.electricalEnergyTWh || null,
         annualizedCarbonMt: energyData[sym].annualized?.carbonFootprintMtCO2 || null,
+        // hourly figures scale the per-tx value by estimatedHourlyTx
+        provenance: weakest(energyData.provenance, "estimated"),
       };
     }
 
@@ -183,19 +411,39 @@ function computeSignals() {
       zSent: Number((zSent || 0).toFixed(2)),
       zPrice: Number((zPrice || 0).toFixed(2)),
       divergence: Number((divergence || 0).toFixed(2)),
-      predictedNextReturn: Number(pred.toFixed(2)),
+      zEstimator: Z.estimator,
+      provenance: DATA_PROVENANCE,
+      predictedNextReturn: Number(pred.toFixed(4)),
       lastPriceTs: ps.at(-1)?.t ?? null,
       lastInfoTs: is.at(-1)?.t ?? null,
       infoCount1m: infoCount,
-      strong: Math.abs(divergence) >= 1.5 && infoCount >= 3,
-      updatedAt: new Date().toISOString(),
+      strong,
+      updatedAt: new Date(clock.now()).toISOString(),
       counts: { price: ps.length, info: is.length },
+      book: books.metrics(sym), // spread, ±0.5% depth, imbalance (null until depth arrives)
+      regime, // calm | trending | volatile, null while history is short
+      volatility,
+      ...venueSummary(venues.consolidate(sym, clock.now())),
       ...(energyContext && { energy: energyContext }),
     };
+    push.publish("signals", sym, signalCache[sym]);
+    events.append("signal", sym, signalCache[sym], clock.now());
+    if (strong && !wasStrong[sym]) {
+      const { divergence: div, zSent: zs, zPrice: zp, infoCount1m, lastPrice: price } = signalCache[sym];
+      events.append("strong", sym, { symbol: sym, divergence: div, zSent: zs, zPrice: zp, infoCount1m, lastPrice: price }, clock.now());
+    }
+    wasStrong[sym] = strong;
+    raiseAlerts("signal", sym, signalCache[sym]);
+
+    if (clock.now() - (lastSnapshotAt[sym] || 0) >= SIGNAL_SNAPSHOT_MS) {
+      lastSnapshotAt[sym] = clock.now();
+      const { energy: _energy, ...snapshot } = signalCache[sym];
+      store.append("signals", { t: lastSnapshotAt[sym], sym, ...snapshot });
+    }
 
     // ---------- Impact detection (zSent spike) ----------
     if (zSent != null && Math.abs(zSent) >= SENT_SPIKE_Z) {
-      const now = Date.now();
+      const now = clock.now();
       if (now - lastSpikeAt[sym] >= MIN_SEP_MS) {
         lastSpikeAt[sym] = now;
 
@@ -203,132 +451,143 @@ function computeSignals() {
         const zAt = Number((zSent || 0).toFixed(2));
 
         if (p0) {
-          setTimeout(() => {
-            const p1 = priceStore[sym].at(-1)?.v || p0;
-            const retPct = ((p1 - p0) / p0) * 100;
-
-            // Calculate energy-related metrics for this impact
-            let energyMetrics = null;
-            if (energyData && energyData[sym]) {
-              const energyPerTx = energyData[sym].perTransaction;
-              // Estimate transactions in the 60s window (roughly 6 blocks for BTC)
-              const estimatedTxInWindow = sym === "BTC" ? 600 : 180; // BTC ~10 tx/sec avg, ETH ~3 tx/sec
-              const energyCostKWh = energyPerTx?.electricalEnergyKWh 
-                ? (energyPerTx.electricalEnergyKWh * estimatedTxInWindow) 
-                : null;
-              const carbonCostKg = energyPerTx?.carbonFootprintKgCO2
-                ? (energyPerTx.carbonFootprintKgCO2 * estimatedTxInWindow)
-                : null;
-
-              energyMetrics = {
-                energyPerTxKWh: energyPerTx?.electricalEnergyKWh || null,
-                estimatedTxInWindow,
-                totalEnergyCostKWh: energyCostKWh ? Number(energyCostKWh.toFixed(2)) : null,
-                totalCarbonCostKg: carbonCostKg ? Number(carbonCostKg.toFixed(2)) : null,
-              };
-            }
-
-            impacts.push({
-              sym,
-              t: now,
-              zSentAtSpike: zAt,
-              retPct60s: Number(retPct.toFixed(3)),
-              priceAtSpike: p0,
-              priceAfter60s: p1,
-              ...(energyMetrics && { energy: energyMetrics }),
-            });
-            if (impacts.length > 100) impacts.shift();
-            console.log("[impact]", sym, "z:", zAt, "ret60s:", retPct.toFixed(3) + "%", 
-              energyMetrics ? `energy: ${energyMetrics.totalEnergyCostKWh}kWh` : "");
-          }, IMPACT_WINDOW_MS);
+          const spike = { t: now, sym, price: p0, direction: zAt < 0 ? -1 : 1, zSentAtSpike: zAt, features, regime };
+          store.append("spikes", spike);
+          impactStudy.open({ ...spike, meta: { zSentAtSpike: zAt, features, regime } });
         }
       }
     }
   }
+  impactStudy.resolve(clock.now());
+  predictor.resolve(clock.now());
 }
 
-/* -------------------------- Binance WS ------------------------- */
-function startBinance() {
-  const streams = SYMBOLS.map((s) => `${BINANCE_SYMBOLS[s]}@trade`).join("/");
-  const url = `wss://stream.binance.com:9443/stream?streams=${streams}`;
-  const ws = new WebSocket(url);
+// Impacts keep their full event-study path in the store; list views drop it
+const withoutPath = ({ path: _path, ...rest }) => rest;
+
+// Completed event-study record -> impacts collection. retPct60s/priceAfter60s
+// stay for the dashboard's 60s KPIs.
+function recordImpact(ev) {
+  const params = getSymbol(ev.sym)?.params;
+  const at60 = ev.horizons["60s"]?.unresolved ? null : ev.horizons["60s"];
+  const atPredictorHorizon = impactStudy.horizons.find((h) => h.ms === predictor.horizonMs);
+  if (ev.features && atPredictorHorizon) {
+    predictor.learn(ev.sym, ev.features, ev.horizons[atPredictorHorizon.label].retPct);
+  }
 
-  ws.on("open", () => console.log("[binance] connected"));
-  ws.on("message", (raw) => {
-    try {
-      const { stream, data } = JSON.parse(raw.toString());
-      if (!data?.p) return;
-      const sym = stream.startsWith("btcusdt") ? "BTC" : "ETH";
-      priceStore[sym].push({ t: Date.now(), v: parseFloat(data.p) });
-      if (priceStore[sym].length > 2000) priceStore[sym].splice(0, 500);
-    } catch {}
-  });
-  ws.on("close", () => {
-    console.log("[binance] closed; retrying");
-    setTimeout(startBinance, 3000);
-  });
-  ws.on("error", (e) => console.log("[binance] error", e.message));
-}
+  // Calculate energy-related metrics for this impact
+  let energyMetrics = null;
+  if (params && energyData && energyData[ev.sym]) {
+    const energyPerTx = energyData[ev.sym].perTransaction;
+    // Estimate transactions in the 60s window (per-symbol, see symbols.json)
+    const { estimatedTxInWindow } = params;
+    const energyCostKWh = energyPerTx?.electricalEnergyKWh 
+      ? (energyPerTx.electricalEnergyKWh * estimatedTxInWindow) 
+      : null;
+    const carbonCostKg = energyPerTx?.carbonFootprintKgCO2
+      ? (energyPerTx.carbonFootprintKgCO2 * estimatedTxInWindow)
+      : null;
+
+    energyMetrics = {
+      energyPerTxKWh: energyPerTx?.electricalEnergyKWh || null,
+      estimatedTxInWindow,
+      totalEnergyCostKWh: energyCostKWh ? Number(energyCostKWh.toFixed(2)) : null,
+      totalCarbonCostKg: carbonCostKg ? Number(carbonCostKg.toFixed(2)) : null,
+      provenance: weakest(energyData.provenance, "estimated"),
+    };
+  }
 
-/* ------------------------ Wikimedia SSE ------------------------ */
-function startWikimedia() {
-  const es = new EventSource("https://stream.wikimedia.org/v2/stream/recentchange");
-  es.onopen = () => console.log("[wiki] connected");
-  es.onerror = (e) => console.log("[wiki] error", e?.message || "error");
-  es.onmessage = (evt) => {
-    try {
-      const data = JSON.parse(evt.data);
-      const title = String(data?.title || "").toLowerCase();
-      if (!title) return;
-
-      const hits = [];
-      if (title.includes("bitcoin") || title.includes("btc")) hits.push("BTC");
-      if (title.includes("ethereum") || title.includes("eth")) hits.push("ETH");
-      if (!hits.length) return;
-
-      const score =
-        vader.SentimentIntensityAnalyzer.polarity_scores(data.title).compound; // [-1, 1]
-      const t = Date.now();
-
-      for (const sym of hits) {
-        infoStore[sym].push({ t, v: score });
-        if (infoStore[sym].length > 2000) infoStore[sym].splice(0, 500);
-      }
-    } catch {}
+  const { price, ...rest } = ev;
+  const impact = {
+    ...rest,
+    priceAtSpike: price,
+    retPct60s: at60 ? Number(at60.retPct.toFixed(3)) : null,
+    priceAfter60s: at60?.price ?? null,
+    completedAt: clock.now(),
+    provenance: DATA_PROVENANCE,
+    ...(energyMetrics && { energy: energyMetrics }),
   };
+  store.append("impacts", impact);
+  push.publish("impacts", ev.sym, withoutPath(impact));
+  events.append("impact", ev.sym, withoutPath(impact), clock.now());
+  raiseAlerts("impact", ev.sym, impact);
+  const summary = Object.entries(ev.horizons).map(([h, r]) => `${h} ${r.unresolved ? "gap" : `${r.arPct}%`}`).join(" ");
+  console.log("[impact]", ev.sym, "z:", ev.zSentAtSpike, "AR:", summary, "mae/mfe:", ev.maePct, ev.mfePct,
+    ev.unresolved.length ? `unresolved: ${ev.unresolved.join(",")}` : "");
 }
 
-/* ------------------------- NewsAPI poller ---------------------- */
-function normalizeSymFromText(s) {
-  const t = (s || "").toLowerCase();
-  if (t.includes("bitcoin") || t.includes("btc")) return "BTC";
-  if (t.includes("ethereum") || t.includes("eth")) return "ETH";
-  return null;
-}
-async function pollNews() {
-  const apiKey = process.env.NEWSAPI_KEY;
-  if (!apiKey) return;
-  try {
-    const url =
-      `https://newsapi.org/v2/everything?` +
-      `q=(bitcoin OR btc OR ethereum OR eth)&language=en&sortBy=publishedAt&pageSize=10&apiKey=${apiKey}`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`NewsAPI ${res.status}`);
-    const json = await res.json();
-    const now = Date.now();
-    (json.articles || []).forEach((a) => {
-      const title = a?.title || "";
-      const sym = normalizeSymFromText(title);
-      if (!sym) return;
-      const score = vader.SentimentIntensityAnalyzer.polarity_scores(title).compound;
-      infoStore[sym].push({ t: now, v: score });
-      if (infoStore[sym].length > 2000) infoStore[sym].splice(0, 500);
-    });
-    if ((json.articles || []).length) {
-      console.log(`[news] +${json.articles.length} headlines`);
+/* ------------------------- Ingestion --------------------------- */
+// Single entry point for normalized source events (see sources/adapter.js)
+function ingest(ev) {
+  if (ev.type === "price") {
+    const series = priceStore[ev.sym];
+    if (!series) return;
+    const venue = ev.venue || ev.source;
+    venues.update(ev.sym, venue, ev.t, ev.v, ev.q);
+    if (venue === PRIMARY_VENUE) candles.addTrade(ev.sym, ev.t, ev.v, ev.q);
+
+    const consolidated = venues.consolidate(ev.sym, ev.t);
+    if (!consolidated) return;
+    const v = consolidated.price;
+    series.push({ t: ev.t, v });
+    if (series.length > 2000) series.splice(0, 500);
+    push.publish("ticks", ev.sym, { t: ev.t, v, venue, venuePrice: ev.v });
+    if (ev.t - (lastTickPersistAt[ev.sym] || 0) >= TICK_PERSIST_MS) {
+      lastTickPersistAt[ev.sym] = ev.t;
+      store.append("ticks", { t: ev.t, sym: ev.sym, v, venues: consolidated.usedVenues });
+    }
+    return;
+  }
+
+  if (ev.type === "book") {
+    if (priceStore[ev.sym]) books.update(ev.sym, ev.t, ev.bids, ev.asks);
+    return;
+  }
+
+  // Info events are windowed at arrival (ev.t, when a source first saw them),
+  // not publishedAt, on purpose: zSent and infoCount1m only reflect what was
+  // known at the time, so bins already scored never change and a backtest over
+  // the stored events cannot trade on a headline before it was seen.
+  // publishedAt is kept on the stored record for lag analysis.
+  if (ev.type === "info") {
+    const feed = ev.recordedSource || ev.source;
+    const stats = (dedupStats[feed] ??= { accepted: 0, dropped: 0 });
+    const titleTtl = sourceSetting(feed, "titleDedupMs");
+    if (deduper.isDuplicate({ id: ev.id, title: ev.text, t: ev.t, titleTtl })) {
+      stats.dropped += 1;
+      return;
+    }
+    stats.accepted += 1;
+
+    const configured = sourceSetting(feed, "sentiment");
+    const engine = hasEngine(configured) ? configured : DEFAULT_ENGINE;
+    const scores = scoreAll(ev.text);
+    const score = scores[engine]; // [-1, 1]
+    // Source weight scales the score before it enters the rolling window, so
+    // deltas and zSent aggregate weighted sentiment; the store keeps both
+    const weight = Number(sourceSetting(feed, "weight") ?? 1);
+
+    for (const sym of ev.syms) {
+      const series = infoStore[sym];
+      if (!series) continue;
+      series.push({ t: ev.t, v: score * weight });
+      if (series.length > 2000) series.splice(0, 500);
+      const confidence = ev.matches?.find((m) => m.sym === sym)?.confidence ?? null;
+      store.append("info", {
+        t: ev.t,
+        sym,
+        v: score,
+        weight,
+        engine,
+        scores,
+        confidence,
+        id: ev.id ?? null,
+        publishedAt: ev.publishedAt ?? null,
+        source: feed,
+        text: ev.text,
+        url: ev.url ?? null,
+      });
     }
-  } catch (e) {
-    console.log("[news] error", e.message);
   }
 }
 
@@ -391,10 +650,12 @@ async function fetchEnergyData() {
           updatedAt: ethData.date || new Date().toISOString(),
         },
       }),
+      provenance: "live",
     };
 
     lastEnergyFetch = now;
     console.log("[energy] Fetched energy consumption data");
+    events.append("energy", null, energyData, clock.now());
     return energyData;
   } catch (e) {
       console.log("[energy] error", e.message);
@@ -404,9 +665,10 @@ async function fetchEnergyData() {
         const samplePath = new URL("./energy-sample.json", import.meta.url);
         const sampleRaw = fs.readFileSync(samplePath, "utf8");
         const sample = JSON.parse(sampleRaw);
-        energyData = sample;
+        energyData = { ...sample, provenance: "sample" };
         lastEnergyFetch = now;
         console.log("[energy] Using local sample fallback for energy data");
+        events.append("energy", null, energyData, clock.now());
         return energyData;
       } catch (fsErr) {
         console.log("[energy] fallback sample not available:", fsErr.message);
@@ -416,70 +678,351 @@ async function fetchEnergyData() {
 }
 
 /* ---------------------------- API ------------------------------ */
-setInterval(computeSignals, 1000);
+clock.every(1000, computeSignals);
 
-app.get("/health", (_req, res) => res.json({ ok: true }));
+api.get("/health", (_req, res) => res.json({ ok: true, demo: DEMO, provenance: DATA_PROVENANCE }));
+api.get("/openapi.json", (_req, res) => res.json(openapi));
 
-app.get("/energy", async (_req, res) => {
+// WebSocket clients and their subscriptions (the socket itself is /ws)
+api.get("/ws/status", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json(push.status());
+});
+
+// Side-by-side sentiment engines over stored info events
+api.get("/sentiment/compare", (req, res) => {
+  const windowMin = Math.max(1, Math.min(7 * 1440, Number(req.query.windowMin) || 60));
+  const sym = req.query.sym ? String(req.query.sym).toUpperCase() : null;
+  const rows = store.query("info", { from: clock.now() - windowMin * 60_000, sym });
+
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ windowMinutes: windowMin, sym, defaultEngine: DEFAULT_ENGINE, ...compareEngines(rows) });
+});
+
+api.get("/store", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ collections: store.stats() });
+});
+
+// OHLCV bars; from/to accept epoch ms or ISO dates, default is the latest 500
+api.get("/candles", (req, res) => {
+  const sym = String(req.query.sym || "").toUpperCase();
+  const interval = String(req.query.interval || "1m");
+  if (!priceStore[sym]) return sendError(res, 400, `unknown symbol ${sym}`);
+  if (!INTERVALS[interval]) {
+    return sendError(res, 400, `interval must be one of ${Object.keys(INTERVALS).join(", ")}`);
+  }
+
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) return sendError(res, 400, "invalid from/to");
+
+  res.setHeader("Cache-Control", "no-store");
+  res.json({
+    sym,
+    interval,
+    bars: candles.query(sym, interval, {
+      from,
+      to,
+      limit: from == null ? 500 : null,
+      now: clock.now(),
+    }),
+  });
+});
+
+// Completed impacts (newest `limit`, with paths) and events still waiting on a horizon
+api.get("/impacts", (req, res) => {
+  const sym = req.query.sym ? String(req.query.sym).toUpperCase() : null;
+  if (sym && !priceStore[sym]) return sendError(res, 400, `unknown symbol ${sym}`);
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 50));
+
+  res.setHeader("Cache-Control", "no-store");
+  res.json({
+    horizons: impactStudy.horizons.map((h) => h.label),
+    maxGapMs: impactStudy.maxGapMs,
+    pending: impactStudy.pending(sym),
+    completed: store.latest("impacts", limit, sym),
+  });
+});
+
+// Bulk export of a stored collection as CSV or NDJSON (columns in export.js);
+// from/to accept epoch ms or ISO dates and default to the last hour
+api.get("/export/:dataset", async (req, res) => {
+  const { dataset } = req.params;
+  const format = String(req.query.format || "csv");
+  if (!EXPORT_DATASETS.includes(dataset)) return sendError(res, 404, `unknown dataset ${dataset}`);
+  if (!EXPORT_FORMATS.includes(format)) return sendError(res, 400, `format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  const sym = req.query.sym ? String(req.query.sym).toUpperCase() : null;
+  if (sym && !priceStore[sym]) return sendError(res, 400, `unknown symbol ${sym}`);
+  const to = parseTimeParam(req.query.to) ?? clock.now();
+  const from = parseTimeParam(req.query.from) ?? to - HOUR_MS;
+  if (Number.isNaN(from) || Number.isNaN(to)) return sendError(res, 400, "invalid from/to");
+  if (from > to) return sendError(res, 400, "from must be before to");
+
+  const columns = exportColumns(impactStudy.horizons.map((h) => h.label))[dataset];
+  const stamp = (t) => new Date(t).toISOString().slice(0, 19).replace(/[-:]/g, "");
+  const file = [dataset, sym, stamp(from), stamp(to)].filter(Boolean).join("_");
+  res.setHeader("Content-Type", contentType(format));
+  res.setHeader("Content-Disposition", `attachment; filename="${file}.${format === "csv" ? "csv" : "ndjson"}"`);
+  res.setHeader("Cache-Control", "no-store");
+  await writeExport(res, store.query(dataset, { from, to, sym }), columns, format);
+});
+
+// Replays stored ticks/sentiment for one symbol through the signal math and a
+// trading rule (see backtest.js); from/to default to the last hour, `z`
+// overrides the live z-score options
+api.post("/backtest", (req, res) => {
+  const body = req.body || {};
+  const sym = String(body.sym || "").toUpperCase();
+  if (!priceStore[sym]) return sendError(res, 400, `unknown symbol ${sym}`);
+
+  const to = parseTimeParam(body.to) ?? clock.now();
+  const from = parseTimeParam(body.from) ?? to - HOUR_MS;
+  if (Number.isNaN(from) || Number.isNaN(to)) return sendError(res, 400, "invalid from/to");
+  const num = (v) => (v == null || v === "" ? undefined : Number(v));
+
+  try {
+    const z = normalizeZOptions({ ...Z, ...body.z });
+    const range = { sym, from: from - windowFor(z), to: to + 1 };
+    const result = runBacktest({
+      ticks: store.query("ticks", range),
+      info: store.query("info", range),
+      from,
+      to,
+      stepMs: num(body.stepMs),
+      rule: body.rule,
+      feeBps: num(body.feeBps),
+      slippageBps: num(body.slippageBps),
+      z,
+    });
+    res.json({ sym, ...result });
+  } catch (e) {
+    sendError(res, 400, e.message);
+  }
+});
+
+// Predictor coefficients and out-of-sample metrics per symbol
+api.get("/predictor", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({
+    horizonSec: predictor.horizonMs / 1000,
+    perSym: Object.fromEntries(symbolNames().map((s) => [s, predictor.metrics(s)])),
+  });
+});
+
+api.post("/predictor/snapshot", (_req, res) => {
+  if (REPLAY_FILE || DEMO) return sendError(res, 409, "snapshots are disabled during replays and demo mode");
+  const snap = savePredictor();
+  res.json({ file: PREDICTOR_FILE, savedAt: snap.savedAt, symbols: Object.keys(snap.models) });
+});
+
+// Body { sym } resets one symbol, an empty body resets every model
+api.post("/predictor/reset", (req, res) => {
+  const sym = req.body?.sym ? String(req.body.sym).toUpperCase() : null;
+  if (sym && !priceStore[sym]) return sendError(res, 400, `unknown symbol ${sym}`);
+  predictor.reset(sym);
+  res.json({ reset: sym ? [sym] : symbolNames() });
+});
+
+api.get("/sources", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ sources: sourceStatus(), dedup: { ...deduper.size(), byFeed: dedupStats } });
+});
+
+/* --------------------------- Alerts ---------------------------- */
+// Alert history, newest last; filter by rule, symbol and time range
+api.get("/alerts", (req, res) => {
+  const sym = req.query.sym ? String(req.query.sym).toUpperCase() : null;
+  const rule = req.query.rule ? String(req.query.rule).toLowerCase() : null;
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) return sendError(res, 400, "invalid from/to");
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 100));
+
+  const items = store.query("alerts", { sym, from, to }).filter((a) => !rule || a.ruleId === rule);
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ total: items.length, alerts: items.slice(-limit) });
+});
+
+api.get("/alerts/rules", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ rules: listRules() });
+});
+
+api.post("/alerts/rules", (req, res) => {
+  try {
+    const rule = addRule(req.body || {});
+    if (!rule) return sendError(res, 409, "a rule with this id already exists");
+    res.status(201).json(rule);
+  } catch (e) {
+    sendError(res, 400, e.message);
+  }
+});
+
+api.put("/alerts/rules/:id", (req, res) => {
+  if (!getRule(req.params.id)) return sendError(res, 404, `unknown rule ${req.params.id}`);
+  try {
+    res.json(upsertRule(req.body || {}, req.params.id));
+  } catch (e) {
+    sendError(res, 400, e.message);
+  }
+});
+
+api.delete("/alerts/rules/:id", (req, res) => {
+  if (!removeRule(req.params.id)) return sendError(res, 404, `unknown rule ${req.params.id}`);
+  res.status(204).end();
+});
+
+api.get("/alerts/sinks", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ sinks: sinkStatus() });
+});
+
+// Live firings from an SSE sink (default "stream")
+api.get("/alerts/stream", (req, res) => {
+  const sink = getSink(String(req.query.sink || "stream"));
+  if (!sink?.attach) return sendError(res, 404, "no SSE alert sink configured");
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders?.();
+  sink.attach(res);
+  res.write(": connected\n\n");
+});
+
+api.get("/symbols", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ symbols: listSymbols() });
+});
+
+api.post("/symbols", (req, res) => {
+  try {
+    const entry = upsertSymbol(req.body || {});
+    res.status(201).json(entry);
+  } catch (e) {
+    sendError(res, 400, e.message);
+  }
+});
+
+api.delete("/symbols/:sym", (req, res) => {
+  if (!removeSymbol(req.params.sym)) {
+    return sendError(res, 404, `unknown symbol ${req.params.sym}`);
+  }
+  res.status(204).end();
+});
+
+api.get("/energy", async (_req, res) => {
   try {
     const data = await fetchEnergyData();
     res.setHeader("Cache-Control", "public, max-age=3600"); // Cache for 1 hour
     res.json(data);
   } catch (err) {
     console.error("energy route error:", err);
-    res.status(500).json({ error: "Failed to fetch energy data" });
+    sendError(res, 500, "Failed to fetch energy data");
   }
 });
 
-app.get("/signals", async (_req, res) => {
+api.get("/signals", async (_req, res) => {
   try {
     res.setHeader("Cache-Control", "no-store");
     
     // Always include energy data for linking
     const energy = await fetchEnergyData();
     
-    // Use fake historic impacts if no real ones exist
-    let impactsToReturn = impacts.slice(-10);
-    if (impactsToReturn.length === 0 && energy) {
+    // Demo mode fills an empty impact list with synthetic ones
+    let impactsToReturn = store.latest("impacts", 10).map(withoutPath);
+    if (DEMO && impactsToReturn.length === 0 && energy) {
       impactsToReturn = generateFakeHistoricImpacts(energy).slice(-10);
     }
     
     // Calculate analytics linking all three datasets
     const analytics = calculateUnifiedAnalytics(energy);
     
+    const symbols = symbolNames();
     res.json({
-      windowSeconds: WINDOW_MS / 1000,
-      symbols: SYMBOLS,
-      data: SYMBOLS.map((s) => signalCache[s]).filter(Boolean),
+      windowSeconds: SIGNAL_WINDOW_MS / 1000,
+      zScore: zSummary(Z),
+      demo: DEMO,
+      provenance: DATA_PROVENANCE,
+      symbols,
+      data: symbols.map((s) => signalCache[s]).filter(Boolean),
       impacts: impactsToReturn, // last 10 impacts (real or fake)
+      pendingImpacts: impactStudy.pending(), // spikes still waiting on a horizon
       energy, // Always include energy data
       analytics, // Unified analytics
     });
   } catch (err) {
     console.error("signals route error:", err);
-    res.status(200).json({
-      windowSeconds: WINDOW_MS / 1000,
-      symbols: SYMBOLS,
-      data: [],
-      impacts: [],
-      error: "temporary",
-    });
+    sendError(res, 503, "signals temporarily unavailable");
   }
 });
 
+// BASE/QUOTE pairs reported by /signals/cross (comma-separated)
+const CROSS_PAIRS = process.env.CROSS_PAIRS || "ETH/BTC";
+
+// Cross-asset metrics per pair (see cross.js): return correlation / beta and
+// ratio z per window, and sentiment spillover in both directions.
+// ?pair=ETH/BTC (default CROSS_PAIRS), ?windowMin=15,60, ?binSec=10,
+// ?spikeWindowMin=1440 for the spikes the spillover is measured on
+api.get("/signals/cross", (req, res) => {
+  let pairs;
+  try {
+    pairs = String(req.query.pair || CROSS_PAIRS).split(",").map(parsePair);
+  } catch (e) {
+    return sendError(res, 400, e.message);
+  }
+  const windows = String(req.query.windowMin || "15,60").split(",").map(Number);
+  const binSec = Number(req.query.binSec ?? 10);
+  const spikeWindowMin = Number(req.query.spikeWindowMin ?? 1440);
+  if (windows.some((w) => !Number.isFinite(w) || w < 1 || w > 1440)) {
+    return sendError(res, 400, "windowMin must be 1-1440 (comma-separated for several)");
+  }
+  if (!Number.isFinite(binSec) || binSec < 1 || binSec > 3600) return sendError(res, 400, "binSec must be 1-3600");
+  if (!Number.isFinite(spikeWindowMin) || spikeWindowMin < 1) return sendError(res, 400, "spikeWindowMin must be >= 1");
+
+  const now = clock.now();
+  const binMs = binSec * 1000;
+  const longest = Math.max(...windows) * 60_000;
+  const horizons = impactStudy.horizons;
+  const spikeFrom = now - spikeWindowMin * 60_000;
+  const ticksFor = (sym, from) => store.query("ticks", { sym, from, to: now + 1 });
+
+  const out = {};
+  for (const { base, quote } of pairs) {
+    if (!priceStore[base] || !priceStore[quote]) continue;
+    const baseTicks = ticksFor(base, Math.min(now - longest - binMs, spikeFrom));
+    const quoteTicks = ticksFor(quote, Math.min(now - longest - binMs, spikeFrom));
+    const spikesOf = (sym) => store.query("spikes", { sym, from: spikeFrom });
+    out[`${base}/${quote}`] = {
+      base,
+      quote,
+      windows: Object.fromEntries(
+        windows.map((w) => [w, pairWindow(baseTicks, quoteTicks, now, w * 60_000, binMs)])
+      ),
+      spillover: {
+        [`${base}->${quote}`]: spillover(spikesOf(base), quoteTicks, horizons, now, impactStudy.maxGapMs),
+        [`${quote}->${base}`]: spillover(spikesOf(quote), baseTicks, horizons, now, impactStudy.maxGapMs),
+      },
+    };
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ binSec, horizons: horizons.map((h) => h.label), pairs: out });
+});
+
 /* --------------------- Unified Analytics --------------------- */
 function calculateUnifiedAnalytics(energy) {
   if (!energy) return null;
 
-  // If no real impacts, use fake historic data
-  let impactsToUse = impacts.slice(-10);
-  if (impactsToUse.length === 0) {
+  // Demo mode fills an empty impact list with synthetic ones
+  let impactsToUse = store.latest("impacts", 10);
+  if (DEMO && impactsToUse.length === 0) {
     impactsToUse = generateFakeHistoricImpacts(energy).slice(-10);
   }
 
   const last10Impacts = impactsToUse;
-  const btcImpacts = last10Impacts.filter((i) => i.sym === "BTC");
-  const ethImpacts = last10Impacts.filter((i) => i.sym === "ETH");
+  const countsBySymbol = Object.fromEntries(symbolNames().map((s) => [s, 0]));
+  for (const i of last10Impacts) countsBySymbol[i.sym] = (countsBySymbol[i.sym] || 0) + 1;
 
   // Calculate total energy cost of recent impacts
   let totalImpactEnergyKWh = 0;
@@ -493,8 +1036,9 @@ function calculateUnifiedAnalytics(energy) {
   });
 
   // Calculate correlation metrics
-  const avgPriceChange = last10Impacts.length > 0
-    ? last10Impacts.reduce((sum, i) => sum + Math.abs(i.retPct60s || 0), 0) / last10Impacts.length
+  const resolvedRets = last10Impacts.map((i) => i.retPct60s).filter((r) => r != null);
+  const avgPriceChange = resolvedRets.length > 0
+    ? resolvedRets.reduce((sum, r) => sum + Math.abs(r), 0) / resolvedRets.length
     : 0;
 
   const avgSentimentSpike = last10Impacts.length > 0
@@ -504,57 +1048,70 @@ function calculateUnifiedAnalytics(energy) {
   return {
     recentImpacts: {
       count: last10Impacts.length,
-      btcCount: btcImpacts.length,
-      ethCount: ethImpacts.length,
+      countsBySymbol,
+      // legacy aliases for /signals clients from before the symbol registry
+      btcCount: countsBySymbol.BTC ?? 0,
+      ethCount: countsBySymbol.ETH ?? 0,
       totalEnergyCostKWh: Number(totalImpactEnergyKWh.toFixed(2)),
       totalCarbonCostKg: Number(totalImpactCarbonKg.toFixed(2)),
       avgPriceChange: Number(avgPriceChange.toFixed(3)),
       avgSentimentSpike: Number(avgSentimentSpike.toFixed(2)),
+      // impacts stored before provenance was recorded come from live runs
+      // (replays are never persisted)
+      provenance: weakest(...last10Impacts.map((i) => i.provenance ?? "live")),
+      energyProvenance: weakest(...last10Impacts.map((i) => i.energy?.provenance ?? (i.energy ? "estimated" : null))),
     },
-    networkMetrics: {
-      BTC: energy.BTC ? {
-        energyPerTxKWh: energy.BTC.perTransaction?.electricalEnergyKWh || null,
-        carbonPerTxKg: energy.BTC.perTransaction?.carbonFootprintKgCO2 || null,
-        annualEnergyTWh: energy.BTC.annualized?.electricalEnergyTWh || null,
-        annualCarbonMt: energy.BTC.annualized?.carbonFootprintMtCO2 || null,
-      } : null,
-      ETH: energy.ETH ? {
-        energyPerTxKWh: energy.ETH.perTransaction?.electricalEnergyKWh || null,
-        carbonPerTxKg: energy.ETH.perTransaction?.carbonFootprintKgCO2 || null,
-        annualEnergyTWh: energy.ETH.annualized?.electricalEnergyTWh || null,
-        annualCarbonMt: energy.ETH.annualized?.carbonFootprintMtCO2 || null,
-      } : null,
-    },
+    networkMetrics: Object.fromEntries(
+      symbolNames().map((s) => [
+        s,
+        energy[s] ? {
+          energyPerTxKWh: energy[s].perTransaction?.electricalEnergyKWh || null,
+          carbonPerTxKg: energy[s].perTransaction?.carbonFootprintKgCO2 || null,
+          annualEnergyTWh: energy[s].annualized?.electricalEnergyTWh || null,
+          annualCarbonMt: energy[s].annualized?.carbonFootprintMtCO2 || null,
+          provenance: energy.provenance,
+        } : null,
+      ])
+    ),
   };
 }
 
 /* --------------------------- Start ----------------------------- */
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, async () => {
   console.log(`server :${PORT}`);
-  startBinance();
-  if (process.env.NEWSAPI_KEY) {
-    console.log("[news] using NewsAPI (20s polling)");
-    setInterval(pollNews, 20_000);
-  } else {
-    console.log("[news] NEWSAPI_KEY not set → using Wikimedia SSE fallback");
-    startWikimedia();
+  if (REPLAY_FILE) {
+    // Recorded session replaces the live feeds
+    await loadSources([{ name: "replay", type: "replay", file: REPLAY_FILE, speed: REPLAY_SPEED }]);
+    startSources(ingest);
+    return;
   }
+
+  await loadSources();
+  const recorder = RECORD_DIR ? createRecorder({ dir: RECORD_DIR }) : null;
+  startSources((ev) => {
+    recorder?.record(ev);
+    ingest(ev);
+  });
 });
+push.attach(server, "/ws");
 
-// --- Optional DEMO replay (if you want offline) ---
-if (REPLAY) {
-  console.log("[demo] DEMO_REPLAY=1 → synthetic ticks");
+// --- Demo mode: synthetic ticks and sentiment (offline) ---
+// Ticks go through ingest() like any feed so the store, and everything that
+// reads it (impact horizons, regime, predictor), sees them
+if (DEMO) {
+  console.log("[demo] demo mode → synthetic ticks, sentiment and impacts");
   setInterval(() => {
-    const t = Date.now();
-    for (const sym of SYMBOLS) {
-      const last = priceStore[sym].at(-1)?.v || (sym === "BTC" ? 40000 : 2500);
+    const t = clock.now();
+    for (const { symbol: sym, params } of listSymbols()) {
+      const last = priceStore[sym].at(-1)?.v || params.demoBasePrice;
       const p = last * (1 + (Math.random() - 0.5) / 1000); // tiny random walk
       const s = (Math.random() - 0.5) / 4;                 // synthetic sentiment
-      priceStore[sym].push({ t, v: p });
+      ingest({ type: "price", source: "demo", venue: "demo", sym, t, v: p, q: 0 });
       infoStore[sym].push({ t, v: s });
-      if (priceStore[sym].length > 2000) priceStore[sym].splice(0, 500);
-      if (infoStore[sym].length  > 2000) infoStore[sym].splice(0, 500);
+      if (infoStore[sym].length > 2000) infoStore[sym].splice(0, 500);
+      store.append("info", { t, sym, v: s, weight: 1, engine: null, scores: null, confidence: null,
+        id: null, publishedAt: null, source: "demo", text: null, url: null });
     }
   }, 1000);
 }
@@ -563,24 +1120,51 @@ if (REPLAY) {
 // Window used for KPI summaries (override via ?windowMin= on /analytics)
 const ANALYTICS_DEFAULT_WINDOW_MS = 60 * 60_000; // 60 minutes
 
-// Keep only items within a lookback window
-function _sliceWindow(arr, ms) {
-  const cutoff = Date.now() - ms;
-  return arr.filter((x) => x.t >= cutoff);
+// Below this many resolved impacts the KPIs are flagged as anecdotal
+const IMPACT_MIN_SAMPLE = Number(process.env.IMPACT_MIN_SAMPLE) || 10;
+
+// Uncertainty around the 60s impact KPIs: 95% bootstrap intervals for win
+// rate and mean return, a t-test of the mean against 0 and an exact binomial
+// test of the win rate against 50%
+function impactConfidence(rets) {
+  const n = rets.length;
+  const r = (x, d) => (x == null ? null : Number(x.toFixed(d)));
+  const winShare = (xs) => xs.filter((x) => x > 0).length / xs.length;
+  const wins = rets.filter((x) => x > 0).length;
+  const winCI = bootstrapCI(rets, winShare);
+  const avgCI = bootstrapCI(rets, mean);
+  const t = tTest(rets, 0);
+  return {
+    n,
+    minSample: IMPACT_MIN_SAMPLE,
+    lowSample: n < IMPACT_MIN_SAMPLE,
+    level: 0.95,
+    winRateCI: winCI && winCI.map((x) => r(x, 2)),
+    avgRetCI: avgCI && avgCI.map((x) => r(x, 3)),
+    tTest: { t: r(t.t, 2), df: t.df, pValue: r(t.pValue, 4) },
+    binomial: { wins, pValue: r(binomialTest(wins, n, 0.5).pValue, 4) },
+  };
 }
 
 // Summarize impact events (info spike -> 60s return) for KPIs
 function summarizeImpacts(windowMs = ANALYTICS_DEFAULT_WINDOW_MS) {
-  const items = _sliceWindow(impacts, windowMs);
+  const items = store.query("impacts", { from: clock.now() - windowMs });
 
+  const symbols = symbolNames();
   const bySym = {};
-  for (const s of SYMBOLS) bySym[s] = [];
-  for (const ev of items) bySym[ev.sym].push(ev);
+  for (const s of symbols) bySym[s] = [];
+  for (const ev of items) bySym[ev.sym]?.push(ev);
 
+  // Impacts whose 60s horizon never resolved (price gap) carry retPct60s
+  // null; they are counted apart and kept out of every statistic
   function stats(xs) {
-    const n = xs.length;
-    if (!n) return { n: 0, winRate: null, avgRet: null, avgAbs: null, p95: null };
-    const rets = xs.map((i) => i.retPct60s);
+    const rets = xs.map((i) => i.retPct60s).filter((r) => r != null);
+    const n = rets.length;
+    const unresolved = xs.length - n;
+    const provenance = xs.length ? weakest(...xs.map((i) => i.provenance ?? "live")) : null;
+    if (!n) {
+      return { n: 0, unresolved, winRate: null, avgRet: null, avgAbs: null, p95: null, confidence: impactConfidence([]), provenance };
+    }
     const win = rets.filter((r) => r > 0).length;
     const avg = rets.reduce((a, b) => a + b, 0) / n;
     const avgAbs = rets.reduce((a, b) => a + Math.abs(b), 0) / n;
@@ -588,28 +1172,57 @@ function summarizeImpacts(windowMs = ANALYTICS_DEFAULT_WINDOW_MS) {
     const p95 = sorted[Math.max(0, Math.floor(0.95 * (sorted.length - 1)))];
     return {
       n,
+      unresolved,
       winRate: Number((win / n).toFixed(2)),
       avgRet: Number(avg.toFixed(3)),
       avgAbs: Number(avgAbs.toFixed(3)),
-      p95: Number((p95 ?? 0).toFixed(3)),
+      p95: Number(p95.toFixed(3)),
+      confidence: impactConfidence(rets), // same resolved sample as the point estimates
+      provenance,
     };
   }
 
   const total = stats(items);
-  const perSym = Object.fromEntries(SYMBOLS.map((s) => [s, stats(bySym[s])]));
+  const perSym = Object.fromEntries(symbols.map((s) => [s, stats(bySym[s])]));
+  // Regime in force at the spike; impacts recorded before tagging are "unknown"
+  const byRegime = Object.fromEntries(
+    [...REGIMES, "unknown"].map((r) => [r, stats(items.filter((i) => (i.regime ?? "unknown") === r))])
+  );
 
   return {
     windowMinutes: Math.round(windowMs / 60000),
     total,
     perSym,
-    lastEvents: items.slice(-10),
+    byRegime,
+    lastEvents: items.slice(-10).map(withoutPath),
+  };
+}
+
+// CAAR curves per symbol from completed event-study impacts in the window;
+// events still waiting for their longest horizon are counted as pending
+function summarizeEventStudy(windowMs = ANALYTICS_DEFAULT_WINDOW_MS) {
+  const items = store.query("impacts", { from: clock.now() - windowMs });
+  const horizons = impactStudy.horizons;
+  return {
+    horizons: horizons.map((h) => h.label),
+    baselineMinutes: impactStudy.baselineMs / 60_000,
+    total: caarCurves(items, horizons),
+    perSym: Object.fromEntries(
+      symbolNames().map((s) => [
+        s,
+        {
+          ...caarCurves(items.filter((i) => i.sym === s), horizons),
+          pending: impactStudy.pending(s).length,
+        },
+      ])
+    ),
   };
 }
 
 // Lightweight “current state” snapshot for live tiles
 function liveSummary() {
-  const now = Date.now();
-  const rows = SYMBOLS
+  const now = clock.now();
+  const rows = symbolNames()
     .map((s) => signalCache[s])
     .filter(Boolean)
     .map((r) => ({
@@ -626,38 +1239,94 @@ function liveSummary() {
 }
 
 // JSON analytics endpoint
-app.get("/analytics", (req, res) => {
+api.get("/analytics", (req, res) => {
   const windowMin = Math.max(1, Math.min(1440, Number(req.query.windowMin) || 60));
   const windowMs = windowMin * 60_000;
 
   const payload = {
     windowSeconds: windowMs / 1000,
     impacts: summarizeImpacts(windowMs),
+    eventStudy: summarizeEventStudy(windowMs),
     live: liveSummary(),
   };
   res.setHeader("Cache-Control", "no-store");
   res.json(payload);
 });
 
-// Server-Sent Events stream for live tiles (updates ~2s)
-app.get("/analytics/stream", (req, res) => {
+// Sentiment -> return lead-lag per symbol and window (see leadlag.js).
+// ?windowMin=15,60 (default 60), ?binSec=10, ?maxLag=12 bins, ?order=3,
+// ?source=wikimedia|newsapi|... restricts sentiment to one feed
+api.get("/analytics/leadlag", (req, res) => {
+  const sym = req.query.sym ? String(req.query.sym).toUpperCase() : null;
+  if (sym && !priceStore[sym]) return sendError(res, 400, `unknown symbol ${sym}`);
+  const windows = String(req.query.windowMin || "60").split(",").map(Number);
+  const binSec = Number(req.query.binSec ?? 10);
+  const maxLag = Number(req.query.maxLag ?? 12);
+  const order = Number(req.query.order ?? 3);
+  const source = req.query.source ? String(req.query.source) : null;
+
+  if (windows.some((w) => !Number.isFinite(w) || w < 1 || w > 1440)) {
+    return sendError(res, 400, "windowMin must be 1-1440 (comma-separated for several)");
+  }
+  if (!Number.isFinite(binSec) || binSec < 1 || binSec > 3600) return sendError(res, 400, "binSec must be 1-3600");
+  if (!Number.isInteger(maxLag) || maxLag < 1 || maxLag > 120) return sendError(res, 400, "maxLag must be 1-120");
+  if (!Number.isInteger(order) || order < 1 || order > 10) return sendError(res, 400, "order must be 1-10");
+  if (windows.some((w) => (w * 60) / binSec > 20_000)) return sendError(res, 400, "too many bins; raise binSec");
+
+  const now = clock.now();
+  const longest = Math.max(...windows) * 60_000;
+  const binMs = binSec * 1000;
+  const analyse = (s) => {
+    const ticks = store.query("ticks", { sym: s, from: now - longest - binMs, to: now });
+    const info = store.query("info", { sym: s, from: now - longest, to: now }).filter((r) => !source || r.source === source);
+    return Object.fromEntries(
+      windows.map((w) => [w, leadLag({ ticks, info, from: now - w * 60_000, to: now, binMs, maxLag, order })])
+    );
+  };
+
+  res.setHeader("Cache-Control", "no-store");
+  res.json({
+    binSec,
+    maxLag,
+    order,
+    source,
+    perSym: Object.fromEntries((sym ? [sym] : symbolNames()).map((s) => [s, analyse(s)])),
+  });
+});
+
+// Typed, resumable Server-Sent Events (see events.js): `signal`, `impact`,
+// `strong`, `source-status` and `energy` events with monotonic ids. A client
+// reconnecting with Last-Event-ID (or ?lastEventId=) first receives what it
+// missed from the replay buffer; a `gap` event says some of it was already
+// dropped. ?sym=BTC,ETH and ?types=signal,impact filter the stream.
+api.get("/analytics/stream", (req, res) => {
+  let filter;
+  try {
+    filter = eventFilter({ sym: req.query.sym, types: req.query.types });
+  } catch (e) {
+    return sendError(res, 400, e.message);
+  }
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-store");
   res.setHeader("Connection", "keep-alive");
   res.flushHeaders?.();
+  res.write("retry: 3000\n\n");
 
-  const push = () => {
-    const frame = {
-      type: "tick",
-      live: liveSummary(),
-      impacts: summarizeImpacts(ANALYTICS_DEFAULT_WINDOW_MS),
-    };
-    res.write(`data: ${JSON.stringify(frame)}\n\n`);
-  };
+  const lastId = req.get("Last-Event-ID") ?? req.query.lastEventId;
+  if (lastId != null) {
+    const { events: missed, complete } = events.since(Number(lastId));
+    if (!complete) res.write(`event: gap\ndata: ${JSON.stringify({ lastEventId: lastId, ...events.status() })}\n\n`);
+    for (const ev of missed) if (filter(ev)) res.write(sseFrame(ev));
+  }
 
-  const timer = setInterval(push, 2000);
-  push();
+  const unsubscribe = events.subscribe((ev) => {
+    if (filter(ev)) res.write(sseFrame(ev));
+  });
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15_000);
 
-  req.on("close", () => clearInterval(timer));
+  req.on("close", () => {
+    unsubscribe();
+    clearInterval(keepAlive);
+  });
 });
 /* ------------------------ end Analytics (ADD-ONLY) ------------------------- */
@@ -0,0 +1,104 @@
+import { lowerBound } from "./store.js";
+import { correlation, ols, fTestPValue } from "./stats.js";
+
+/* ----------------------- Lead-lag analysis --------------------- */
+// Resamples one symbol's ticks and sentiment events onto a fixed grid and
+// asks whether sentiment leads returns:
+//   resample  ret[i]  = log return (pct) of bin i's last price vs bin i-1
+//             sent[i] = summed, source-weighted sentiment of events in bin i
+//   lags      corr(sent[i], ret[i + k]) for k = -maxLag..maxLag; k > 0 means
+//             sentiment leads price by k bins
+//   granger   F-test of `order` sentiment lags added to an AR(order) model of
+//             returns, and the reverse direction (returns -> sentiment)
+
+const round = (x, d = 4) => (x == null || !Number.isFinite(x) ? null : Number(x.toFixed(d)));
+
+// ticks [{ t, v }], info [{ t, v, weight }], both sorted by t
+export function resample(ticks, info, from, to, binMs) {
+  const ret = [];
+  const sent = [];
+  const t = [];
+  let ti = lowerBound(ticks, from);
+  let ii = lowerBound(info, from);
+  let prev = ticks[ti - 1]?.v ?? null; // last price before the window
+
+  for (let start = from; start + binMs <= to; start += binMs) {
+    const end = start + binMs;
+    let last = prev;
+    while (ti < ticks.length && ticks[ti].t < end) last = ticks[ti++].v;
+    let s = 0;
+    while (ii < info.length && info[ii].t < end) {
+      s += info[ii].v * (info[ii].weight ?? 1);
+      ii++;
+    }
+    if (prev != null && last != null) {
+      t.push(start);
+      ret.push(Math.log(last / prev) * 100);
+      sent.push(s);
+    }
+    prev = last;
+  }
+  return { t, ret, sent };
+}
+
+// corr(x[i], y[i + lag]) for every lag in [-maxLag, maxLag]
+export function crossCorrelation(x, y, maxLag) {
+  const out = [];
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const xs = [];
+    const ys = [];
+    for (let i = Math.max(0, -lag); i + lag < y.length && i < x.length; i++) {
+      xs.push(x[i]);
+      ys.push(y[i + lag]);
+    }
+    out.push({ lag, corr: round(correlation(xs, ys)), n: xs.length });
+  }
+  return out;
+}
+
+// Does x help predict y beyond y's own `order` lags?
+export function granger(y, x, order) {
+  const restricted = [];
+  const unrestricted = [];
+  const target = [];
+  for (let i = order; i < y.length; i++) {
+    const own = [1];
+    const other = [];
+    for (let k = 1; k <= order; k++) {
+      own.push(y[i - k]);
+      other.push(x[i - k]);
+    }
+    restricted.push(own);
+    unrestricted.push([...own, ...other]);
+    target.push(y[i]);
+  }
+  const n = target.length;
+  const df1 = order;
+  const df2 = n - 2 * order - 1;
+  const r = ols(restricted, target);
+  const u = ols(unrestricted, target);
+  if (!r || !u || df2 <= 0 || u.rss <= 0) return { n, df1, df2, F: null, pValue: null };
+  const F = (r.rss - u.rss) / df1 / (u.rss / df2);
+  return { n, df1, df2, F: round(F, 3), pValue: round(fTestPValue(F, df1, df2)) };
+}
+
+export function leadLag({ ticks, info, from, to, binMs = 10_000, maxLag = 12, order = 3 }) {
+  const { ret, sent } = resample(ticks, info, from, to, binMs);
+  const lags = crossCorrelation(sent, ret, maxLag).map((l) => ({ ...l, lagSec: (l.lag * binMs) / 1000 }));
+  const peak = lags
+    .filter((l) => l.corr != null)
+    .reduce((best, l) => (!best || Math.abs(l.corr) > Math.abs(best.corr) ? l : best), null);
+
+  return {
+    bins: ret.length,
+    activeBins: sent.filter((s) => s !== 0).length,
+    // approximate 95% band for a single lag under no correlation
+    significance: ret.length ? round(1.96 / Math.sqrt(ret.length)) : null,
+    lags,
+    peak: peak && { lag: peak.lag, lagSec: peak.lagSec, corr: peak.corr },
+    granger: {
+      sentimentToPrice: granger(ret, sent, order),
+      priceToSentiment: granger(sent, ret, order),
+    },
+  };
+}
@@ -0,0 +1,67 @@
+/* -------------------------- Order books ------------------------ */
+// Local top-N book per symbol from partial depth snapshots, plus the
+// liquidity metrics attached to each signal:
+//   spread / spreadBps     best ask - best bid (absolute, basis points of mid)
+//   bidDepth / askDepth    base quantity within ±bandPct of mid
+//   bidNotional / askNotional   same, in quote currency
+//   imbalance              (bidDepth - askDepth) / (bidDepth + askDepth), [-1, 1]
+
+export function createOrderBooks({ levels = 20, bandPct = 0.5 } = {}) {
+  const books = {}; // sym -> { t, bids: [[p, q]], asks: [[p, q]] }
+
+  return {
+    update(sym, t, bids, asks) {
+      books[sym] = {
+        t,
+        bids: bids.filter(([, q]) => q > 0).sort((a, b) => b[0] - a[0]).slice(0, levels),
+        asks: asks.filter(([, q]) => q > 0).sort((a, b) => a[0] - b[0]).slice(0, levels),
+      };
+    },
+
+    get(sym) {
+      return books[sym] || null;
+    },
+
+    metrics(sym) {
+      const book = books[sym];
+      const bestBid = book?.bids[0]?.[0];
+      const bestAsk = book?.asks[0]?.[0];
+      if (!bestBid || !bestAsk) return null;
+
+      const mid = (bestBid + bestAsk) / 2;
+      const band = mid * (bandPct / 100);
+      const sum = (side, inBand) => {
+        const acc = { qty: 0, notional: 0 };
+        for (const [p, q] of side) {
+          if (!inBand(p)) continue;
+          acc.qty += q;
+          acc.notional += p * q;
+        }
+        return acc;
+      };
+      const bid = sum(book.bids, (p) => p >= mid - band);
+      const ask = sum(book.asks, (p) => p <= mid + band);
+      const total = bid.qty + ask.qty;
+
+      return {
+        bestBid,
+        bestAsk,
+        mid: Number(mid.toFixed(8)),
+        spread: Number((bestAsk - bestBid).toFixed(8)),
+        spreadBps: Number((((bestAsk - bestBid) / mid) * 10_000).toFixed(2)),
+        bandPct,
+        bidDepth: Number(bid.qty.toFixed(6)),
+        askDepth: Number(ask.qty.toFixed(6)),
+        bidNotional: Number(bid.notional.toFixed(2)),
+        askNotional: Number(ask.notional.toFixed(2)),
+        imbalance: total > 0 ? Number(((bid.qty - ask.qty) / total).toFixed(3)) : 0,
+        levels: { bids: book.bids.length, asks: book.asks.length },
+        bookTs: book.t,
+      };
+    },
+
+    drop(sym) {
+      delete books[sym];
+    },
+  };
+}
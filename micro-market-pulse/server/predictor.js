@@ -0,0 +1,172 @@
+import { nearestPoint } from "./eventstudy.js";
+
+/* ----------------------- Online predictor ---------------------- */
+// Recursive least squares per symbol: predicts the forward return (pct) over
+// horizonMs from the live signal features. Training samples come from two
+// places:
+//   observe()  the live features every sampleMs; once the horizon has passed
+//              the sample is resolved against the tick nearest t + horizon
+//              (series(sym, from, to) -> [{ t, v }]) and skipped on a gap
+//   learn()    resolved impacts (spikes are rare, so they get an extra update)
+// Every observed sample is scored before the model learns from it, so the
+// metrics are out-of-sample. divergence is not a feature on its own since it
+// is exactly zSent - zPrice.
+
+export const FEATURES = ["bias", "zSent", "zPrice", "logInfoCount1m"];
+
+const round = (x, d = 4) => (x == null || !Number.isFinite(x) ? null : Number(x.toFixed(d)));
+
+// { zSent, zPrice, infoCount1m } -> feature vector
+export function featureVector({ zSent = 0, zPrice = 0, infoCount1m = 0 } = {}) {
+  return [1, zSent || 0, zPrice || 0, Math.log1p(Math.max(0, infoCount1m || 0))];
+}
+
+const dot = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0);
+
+function emptyModel(delta) {
+  const d = FEATURES.length;
+  return {
+    w: new Array(d).fill(0),
+    P: Array.from({ length: d }, (_, i) => Array.from({ length: d }, (_, j) => (i === j ? delta : 0))),
+    n: 0,
+    evals: [], // [{ pred, actual }] newest last
+    skipped: 0,
+  };
+}
+
+export function createPredictor({
+  horizonMs = 60_000,
+  sampleMs = 5000,
+  lambda = 0.999, // forgetting factor
+  delta = 100,    // initial P scale (weak prior around 0)
+  maxGapMs = 5000,
+  evalWindow = 500,
+  series,
+} = {}) {
+  const models = {};  // sym -> model
+  const pending = {}; // sym -> [{ t, x, price, pred }]
+  const lastSampleAt = {};
+
+  const model = (sym) => (models[sym] ??= emptyModel(delta));
+
+  function update(m, x, y) {
+    const Px = m.P.map((row) => dot(row, x));
+    const k = Px.map((v) => v / (lambda + dot(x, Px)));
+    const err = y - dot(m.w, x);
+    m.w = m.w.map((w, i) => w + k[i] * err);
+    m.P = m.P.map((row, i) => row.map((p, j) => (p - k[i] * Px[j]) / lambda));
+    m.n += 1;
+  }
+
+  // Mean prediction vs mean outcome in `bins` equal-count buckets of prediction
+  function calibration(evals, bins = 5) {
+    if (evals.length < bins * 5) return [];
+    const sorted = evals.slice().sort((a, b) => a.pred - b.pred);
+    const size = Math.ceil(sorted.length / bins);
+    const out = [];
+    for (let i = 0; i < sorted.length; i += size) {
+      const chunk = sorted.slice(i, i + size);
+      out.push({
+        n: chunk.length,
+        predMean: round(chunk.reduce((s, e) => s + e.pred, 0) / chunk.length),
+        actualMean: round(chunk.reduce((s, e) => s + e.actual, 0) / chunk.length),
+      });
+    }
+    return out;
+  }
+
+  return {
+    horizonMs,
+
+    predict(sym, features) {
+      return dot(model(sym).w, featureVector(features));
+    },
+
+    // Queues a training sample (at most one per sampleMs per symbol)
+    observe(sym, t, features, price) {
+      if (!Number.isFinite(price) || !price || t - (lastSampleAt[sym] ?? -Infinity) < sampleMs) return;
+      lastSampleAt[sym] = t;
+      const x = featureVector(features);
+      (pending[sym] ??= []).push({ t, x, price, pred: dot(model(sym).w, x) });
+    },
+
+    // Scores and learns every queued sample whose horizon has passed
+    resolve(now) {
+      for (const [sym, queue] of Object.entries(pending)) {
+        const m = model(sym);
+        while (queue.length && queue[0].t + horizonMs + maxGapMs <= now) {
+          const s = queue.shift();
+          const at = s.t + horizonMs;
+          const tick = nearestPoint(series(sym, at - maxGapMs, at + maxGapMs + 1), at, maxGapMs);
+          if (!tick) {
+            m.skipped += 1;
+            continue;
+          }
+          const actual = (tick.v / s.price - 1) * 100;
+          m.evals.push({ pred: s.pred, actual });
+          if (m.evals.length > evalWindow) m.evals.shift();
+          update(m, s.x, actual);
+        }
+      }
+    },
+
+    // Extra training sample from a resolved impact (features at the spike)
+    learn(sym, features, actual) {
+      if (Number.isFinite(actual)) update(model(sym), featureVector(features), actual);
+    },
+
+    metrics(sym) {
+      const m = model(sym);
+      const ev = m.evals;
+      const directional = ev.filter((e) => e.pred !== 0 && e.actual !== 0);
+      const hits = directional.filter((e) => Math.sign(e.pred) === Math.sign(e.actual)).length;
+      return {
+        samples: m.n,
+        pending: pending[sym]?.length ?? 0,
+        skipped: m.skipped,
+        coefficients: Object.fromEntries(FEATURES.map((f, i) => [f, round(m.w[i], 6)])),
+        // out-of-sample over the last evalWindow resolved samples
+        evaluated: ev.length,
+        mae: ev.length ? round(ev.reduce((s, e) => s + Math.abs(e.pred - e.actual), 0) / ev.length) : null,
+        directionalAccuracy: directional.length ? round(hits / directional.length, 3) : null,
+        calibration: calibration(ev),
+      };
+    },
+
+    // Serializable model state (coefficients, covariance, recent evals)
+    snapshot() {
+      return {
+        features: FEATURES,
+        horizonMs,
+        savedAt: new Date().toISOString(),
+        models: Object.fromEntries(
+          Object.entries(models).map(([sym, m]) => [sym, { w: m.w, P: m.P, n: m.n, evals: m.evals, skipped: m.skipped }])
+        ),
+      };
+    },
+
+    // Loads a snapshot(); throws when it was taken with other features/horizon
+    restore(snap) {
+      if (JSON.stringify(snap?.features) !== JSON.stringify(FEATURES) || snap.horizonMs !== horizonMs) {
+        throw new Error("snapshot does not match the predictor's features/horizon");
+      }
+      for (const [sym, m] of Object.entries(snap.models || {})) {
+        models[sym] = { ...emptyModel(delta), ...m };
+      }
+    },
+
+    // One symbol, or every symbol when sym is null
+    reset(sym = null) {
+      for (const s of sym ? [sym] : Object.keys(models)) {
+        models[s] = emptyModel(delta);
+        pending[s] = [];
+      }
+    },
+
+    drop(sym) {
+      delete models[sym];
+      delete pending[sym];
+      delete lastSampleAt[sym];
+    },
+  };
+}
@@ -0,0 +1,15 @@
+/* ------------------------- Provenance -------------------------- */
+// Where a record's numbers come from, strongest first:
+//   live       real-time feeds
+//   replay     a recorded session played back (REPLAY_FILE)
+//   estimated  derived from configured estimates (e.g. tx counts per window)
+//   sample     bundled sample data standing in for an unavailable API
+//   synthetic  generated in demo mode (DEMO_MODE=1)
+// A derived record is as weak as its weakest input.
+export const PROVENANCE = ["live", "replay", "estimated", "sample", "synthetic"];
+
+export function weakest(...values) {
+  return values
+    .filter((v) => PROVENANCE.includes(v))
+    .reduce((a, b) => (a == null || PROVENANCE.indexOf(b) > PROVENANCE.indexOf(a) ? b : a), null);
+}
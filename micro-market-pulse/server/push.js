@@ -0,0 +1,137 @@
+import { WebSocketServer } from "ws";
+
+/* ------------------------ WebSocket push ----------------------- */
+// Clients connect to /ws and subscribe to topics; a topic is a name from
+// TOPICS, optionally narrowed to one symbol ("signals:BTC"). Without a
+// symbol it covers every symbol.
+//   client -> { op: "subscribe", topics: ["signals:BTC", "impacts"] }
+//             { op: "unsubscribe", topics: [...] }
+//             { op: "ping" }
+//   server -> { type: "hello", topics }                      on connect
+//             { type: "snapshot", topic, data }              per new subscription
+//             { type: "update", topic, sym, data }           as records are produced
+//             { type: "error", error } / { type: "pong" }
+// ?topics=signals,impacts on the connect URL subscribes immediately.
+
+export const TOPICS = ["signals", "impacts", "alerts", "ticks"];
+const MAX_BUFFERED = 1 << 20; // skip updates to a client this far behind
+const HEARTBEAT_MS = 30_000;
+
+// "signals:btc" -> { name: "signals", sym: "BTC" }; throws on unknown topics
+export function parseTopic(s) {
+  const [name, sym = null] = String(s || "").split(":");
+  if (!TOPICS.includes(name)) throw new Error(`unknown topic ${s} (one of ${TOPICS.join(", ")})`);
+  return { name, sym: sym && sym.toUpperCase() };
+}
+
+const topicKey = ({ name, sym }) => (sym ? `${name}:${sym}` : name);
+
+// snapshot(name, sym) returns the current state for a new subscription
+// (sym null = all symbols)
+export function createPushHub({ snapshot }) {
+  const clients = new Set(); // { ws, subs: Map(key -> { name, sym }), alive }
+  let wss = null;
+  let heartbeat = null;
+  const counts = { connections: 0, updates: 0, skipped: 0 };
+
+  const send = (client, msg) => client.ws.send(JSON.stringify(msg));
+
+  function subscribe(client, topics) {
+    for (const raw of topics) {
+      const topic = parseTopic(raw);
+      const key = topicKey(topic);
+      if (client.subs.has(key)) continue;
+      client.subs.set(key, topic);
+      send(client, { type: "snapshot", topic: key, data: snapshot(topic.name, topic.sym) });
+    }
+  }
+
+  function onMessage(client, raw) {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      return send(client, { type: "error", error: "invalid JSON" });
+    }
+    try {
+      const topics = Array.isArray(msg.topics) ? msg.topics : [];
+      if (msg.op === "subscribe") subscribe(client, topics);
+      else if (msg.op === "unsubscribe") topics.forEach((t) => client.subs.delete(topicKey(parseTopic(t))));
+      else if (msg.op === "ping") send(client, { type: "pong" });
+      else send(client, { type: "error", error: `unknown op ${msg.op}` });
+    } catch (e) {
+      send(client, { type: "error", error: e.message });
+    }
+  }
+
+  return {
+    // Serves /ws (or `path`) on an existing HTTP server
+    attach(server, path = "/ws") {
+      wss = new WebSocketServer({ server, path });
+      wss.on("connection", (ws, req) => {
+        const client = { ws, subs: new Map(), alive: true };
+        clients.add(client);
+        counts.connections += 1;
+        ws.on("pong", () => (client.alive = true));
+        ws.on("message", (raw) => onMessage(client, raw));
+        ws.on("close", () => clients.delete(client));
+        ws.on("error", () => clients.delete(client));
+
+        send(client, { type: "hello", topics: TOPICS });
+        const initial = new URL(req.url, "http://localhost").searchParams.get("topics");
+        if (initial) {
+          try {
+            subscribe(client, initial.split(","));
+          } catch (e) {
+            send(client, { type: "error", error: e.message });
+          }
+        }
+      });
+
+      heartbeat = setInterval(() => {
+        for (const client of clients) {
+          if (!client.alive) {
+            client.ws.terminate();
+            clients.delete(client);
+            continue;
+          }
+          client.alive = false;
+          client.ws.ping();
+        }
+      }, HEARTBEAT_MS);
+      return wss;
+    },
+
+    // Sends one record to every client subscribed to `name` or `name:sym`
+    publish(name, sym, data) {
+      if (!clients.size) return;
+      const frame = JSON.stringify({ type: "update", topic: name, sym, data });
+      for (const client of clients) {
+        if (!client.subs.has(name) && !client.subs.has(`${name}:${sym}`)) continue;
+        if (client.ws.readyState !== client.ws.OPEN) continue;
+        if (client.ws.bufferedAmount > MAX_BUFFERED) {
+          counts.skipped += 1;
+          continue;
+        }
+        client.ws.send(frame);
+        counts.updates += 1;
+      }
+    },
+
+    status() {
+      return {
+        clients: clients.size,
+        ...counts,
+        subscriptions: [...clients].reduce((acc, c) => {
+          for (const key of c.subs.keys()) acc[key] = (acc[key] || 0) + 1;
+          return acc;
+        }, {}),
+      };
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      wss?.close();
+    },
+  };
+}
@@ -0,0 +1,58 @@
+import fs from "fs";
+import path from "path";
+
+/* --------------------------- Recorder -------------------------- */
+// Appends every source event (raw Binance trade messages included) to NDJSON
+// files under `dir`, one JSON object per line:
+//   { t, source, type: "price", sym, v, raw: { stream, data } }
+//   { t, source, type: "book", sym, bids, asks, raw: { stream, data } }
+//   { t, source, type: "info", id, syms, matches, text, publishedAt, url }
+// A new file is started when the current one exceeds maxBytes or maxAgeMs.
+export function createRecorder({ dir, maxBytes = 50 * 1024 * 1024, maxAgeMs = 60 * 60_000 }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  let stream = null;
+  let file = null;
+  let bytes = 0;
+  let openedAt = 0;
+  let lines = 0;
+
+  function rotate() {
+    stream?.end();
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "");
+    file = path.join(dir, `feed-${stamp}.ndjson`);
+    stream = fs.createWriteStream(file, { flags: "a" });
+    stream.on("error", (e) => console.log("[recorder] write error", e.message));
+    bytes = 0;
+    openedAt = Date.now();
+    console.log(`[recorder] writing ${file}`);
+  }
+
+  return {
+    record(ev) {
+      if (!stream || bytes >= maxBytes || Date.now() - openedAt >= maxAgeMs) rotate();
+      const line = JSON.stringify(ev) + "\n";
+      stream.write(line);
+      bytes += Buffer.byteLength(line);
+      lines += 1;
+    },
+    close() {
+      stream?.end();
+      stream = null;
+    },
+    status() {
+      return { dir, file, bytes, lines };
+    },
+  };
+}
+
+// Recording files in replay order: a single file, or every *.ndjson in a directory
+export function listRecordings(target) {
+  const stat = fs.statSync(target);
+  if (!stat.isDirectory()) return [target];
+  return fs
+    .readdirSync(target)
+    .filter((f) => f.endsWith(".ndjson"))
+    .sort()
+    .map((f) => path.join(target, f));
+}
@@ -0,0 +1,81 @@
+import { lowerBound } from "./store.js";
+import { resampleGrid } from "./signals.js";
+
+/* ---------------------- Volatility & regime -------------------- */
+// Market state per symbol from the stored 1/s ticks and the 1m bars:
+//   realized   sqrt(sum of squared log returns) over 1m / 5m / 15m / 60m,
+//              annualized (pct)
+//   parkinson  high-low estimator over the last closed 1m bars, annualized
+//   regime     volatile  5m realized vol >= volatileRatio x the 60m level
+//              trending  efficiency ratio |net move| / path length of 1m
+//                        closes over 15m >= trendEfficiency
+//              calm      otherwise; null until there is enough history
+
+export const REGIMES = ["calm", "trending", "volatile"];
+export const RV_WINDOWS = { "1m": 60_000, "5m": 5 * 60_000, "15m": 15 * 60_000, "60m": 60 * 60_000 };
+export const REGIME_DEFAULTS = { volatileRatio: 1.5, trendEfficiency: 0.5, minTicks: 30 };
+
+const YEAR_MS = 365 * 24 * 60 * 60_000;
+const round = (x, d = 2) => (x == null || !Number.isFinite(x) ? null : Number(x.toFixed(d)));
+
+// Annualized realized vol (pct) of ticks with from <= t <= to; null if sparse
+export function realizedVol(ticks, from, to, minTicks = REGIME_DEFAULTS.minTicks) {
+  const i0 = lowerBound(ticks, from);
+  let sum = 0;
+  let n = 0;
+  let last = i0;
+  for (let i = i0 + 1; i < ticks.length && ticks[i].t <= to; i++) {
+    const r = Math.log(ticks[i].v / ticks[i - 1].v);
+    sum += r * r;
+    n += 1;
+    last = i;
+  }
+  // scale by the span actually covered, so a young history isn't understated
+  const span = n ? ticks[last].t - ticks[i0].t : 0;
+  if (n < minTicks || span <= 0) return null;
+  return Math.sqrt(sum * (YEAR_MS / span)) * 100;
+}
+
+// Parkinson estimator over OHLC bars of barMs, annualized (pct)
+export function parkinsonVol(bars, barMs) {
+  const usable = bars.filter((b) => b.h > 0 && b.l > 0);
+  if (usable.length < 5) return null;
+  const meanSq = usable.reduce((s, b) => s + Math.log(b.h / b.l) ** 2, 0) / usable.length;
+  return Math.sqrt((meanSq / (4 * Math.LN2)) * (YEAR_MS / barMs)) * 100;
+}
+
+// |net move| / path length of the closes; 1 = straight line, ~0 = chop
+export function efficiencyRatio(closes) {
+  const xs = closes.filter((c) => c != null);
+  if (xs.length < 3) return null;
+  let path = 0;
+  for (let i = 1; i < xs.length; i++) path += Math.abs(xs[i] - xs[i - 1]);
+  return path > 0 ? Math.abs(xs.at(-1) - xs[0]) / path : 0;
+}
+
+export function classifyRegime({ rvShort, rvLong, efficiency }, opts = REGIME_DEFAULTS) {
+  if (rvShort == null || rvLong == null) return null;
+  if (rvLong > 0 && rvShort / rvLong >= opts.volatileRatio) return "volatile";
+  if (efficiency != null && efficiency >= opts.trendEfficiency) return "trending";
+  return "calm";
+}
+
+// ticks: [{ t, v }] covering at least the last 60m; bars: closed 1m bars
+export function marketState(ticks, bars, now, opts = REGIME_DEFAULTS) {
+  const realized = Object.fromEntries(
+    Object.entries(RV_WINDOWS).map(([label, ms]) => [label, realizedVol(ticks, now - ms, now, opts.minTicks)])
+  );
+  const efficiency = efficiencyRatio(resampleGrid(ticks, now, 60_000, 15, "last"));
+  const rvShort = realized["5m"];
+  const rvLong = realized["60m"] ?? realized["15m"];
+
+  return {
+    regime: classifyRegime({ rvShort, rvLong, efficiency }, opts),
+    volatility: {
+      realizedAnnPct: Object.fromEntries(Object.entries(realized).map(([k, v]) => [k, round(v)])),
+      parkinsonAnnPct: round(parkinsonVol(bars, 60_000)),
+      volRatio: rvShort != null && rvLong ? round(rvShort / rvLong, 3) : null,
+      trendEfficiency: round(efficiency, 3),
+    },
+  };
+}
@@ -0,0 +1,52 @@
+import fs from "fs";
+import { tokenize } from "../entities.js";
+
+/* ---------------------- Crypto lexicon engine ------------------ */
+// Domain-aware scorer for headlines ("ETF approval", "rug pull", "depeg",
+// "FUD"). Terms and phrases carry VADER-scale weights (-4..4) from
+// crypto-lexicon.json; a negator within the 3 preceding tokens flips the
+// weight (x -0.74), boosters right before it scale it up or down, and the
+// sum is squashed into [-1, 1] like VADER's compound.
+const LEXICON = JSON.parse(fs.readFileSync(new URL("./crypto-lexicon.json", import.meta.url), "utf8"));
+const N_SCALAR = -0.74;
+const ALPHA = 15;
+
+const PHRASES = Object.entries(LEXICON.phrases)
+  .map(([phrase, w]) => ({ words: phrase.split(" "), w }))
+  .sort((a, b) => b.words.length - a.words.length); // longest first
+const NEGATORS = new Set(LEXICON.negators);
+
+function valenceAt(words, i) {
+  for (const { words: p, w } of PHRASES) {
+    if (p.every((word, k) => words[i + k] === word)) return { w, len: p.length };
+  }
+  const w = LEXICON.terms[words[i]];
+  return w != null ? { w, len: 1 } : null;
+}
+
+export default {
+  name: "crypto",
+  score(text) {
+    const words = tokenize(text).map((t) => t.lower);
+    let sum = 0;
+
+    for (let i = 0; i < words.length; ) {
+      const hit = valenceAt(words, i);
+      if (!hit) {
+        i += 1;
+        continue;
+      }
+
+      let w = hit.w;
+      const boost = LEXICON.boosters[words[i - 1]];
+      if (boost) w += Math.sign(w) * boost * Math.abs(w);
+      if (words.slice(Math.max(0, i - 3), i).some((x) => NEGATORS.has(x))) w *= N_SCALAR;
+
+      sum += w;
+      i += hit.len;
+    }
+
+    if (!sum) return 0;
+    return Number((sum / Math.sqrt(sum * sum + ALPHA)).toFixed(4));
+  },
+};
@@ -0,0 +1,92 @@
+import vaderEngine from "./vader.js";
+import cryptoEngine from "./crypto.js";
+
+/* ----------------------- Sentiment engines --------------------- */
+// An engine is { name, score(text) -> [-1, 1] }. The engine used for an info
+// event is chosen per source (`"sentiment": "crypto"` in sources.json), else
+// SENTIMENT_ENGINE, else VADER. Every registered engine scores every event so
+// they can be compared side by side (GET /sentiment/compare).
+const engines = new Map([vaderEngine, cryptoEngine].map((e) => [e.name, e]));
+
+export const DEFAULT_ENGINE = engines.has(process.env.SENTIMENT_ENGINE) ? process.env.SENTIMENT_ENGINE : "vader";
+
+export function engineNames() {
+  return [...engines.keys()];
+}
+
+export function hasEngine(name) {
+  return engines.has(name);
+}
+
+// { vader: 0.42, crypto: 0.61, ... }
+export function scoreAll(text) {
+  const out = {};
+  for (const [name, engine] of engines) {
+    try {
+      out[name] = engine.score(text);
+    } catch (e) {
+      console.log(`[sentiment] ${name} failed:`, e.message);
+      out[name] = 0;
+    }
+  }
+  return out;
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Per-engine summary and pairwise agreement over stored info events ({ scores })
+export function compareEngines(rows) {
+  const names = engineNames();
+  const scored = rows.filter((r) => r.scores && names.every((n) => Number.isFinite(r.scores[n])));
+
+  const engines = Object.fromEntries(
+    names.map((name) => {
+      const xs = scored.map((r) => r.scores[name]);
+      const n = xs.length;
+      const mean = n ? xs.reduce((a, b) => a + b, 0) / n : null;
+      const sd = n > 1 ? Math.sqrt(xs.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1)) : null;
+      return [name, {
+        n,
+        mean: mean != null ? Number(mean.toFixed(4)) : null,
+        sd: sd != null ? Number(sd.toFixed(4)) : null,
+        neutralShare: n ? Number((xs.filter((x) => x === 0).length / n).toFixed(3)) : null,
+      }];
+    })
+  );
+
+  const pairs = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const a = scored.map((r) => r.scores[names[i]]);
+      const b = scored.map((r) => r.scores[names[j]]);
+      const agree = a.filter((x, k) => Math.sign(x) === Math.sign(b[k])).length;
+      const r = pearson(a, b);
+      pairs.push({
+        engines: [names[i], names[j]],
+        correlation: r != null ? Number(r.toFixed(3)) : null,
+        signAgreement: a.length ? Number((agree / a.length).toFixed(3)) : null,
+      });
+    }
+  }
+
+  return {
+    n: scored.length,
+    engines,
+    pairs,
+    recent: scored.slice(-10).map(({ t, sym, source, engine, text, scores }) => ({ t, sym, source, engine, text, scores })),
+  };
+}
@@ -0,0 +1,10 @@
+import vader from "vader-sentiment";
+
+/* ------------------------- VADER engine ------------------------ */
+// General-purpose social-media lexicon; compound score in [-1, 1]
+export default {
+  name: "vader",
+  score(text) {
+    return vader.SentimentIntensityAnalyzer.polarity_scores(String(text || "")).compound;
+  },
+};
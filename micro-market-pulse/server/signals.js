@@ -0,0 +1,126 @@
+import { zScoreOf, Z_ESTIMATORS } from "./stats.js";
+
+/* ------------------------ Signal math -------------------------- */
+// Pure per-symbol signal computation over rolling { t, v } windows. Live
+// signals (computeSignals in index.js) and the backtester share it, so a
+// backtest scores exactly what the dashboard would have shown.
+//
+// zPrice and zSent are computed on one fixed grid of binMs bins ending at
+// `now` (trades and headlines arrive on very different clocks): the price
+// side is the per-bin return of the last traded price, the sentiment side is
+// the summed score of the events in each bin. The newest bin is scored
+// against the preceding lookbackMs of bins with the chosen estimator
+// (plain | ewma | mad, see stats.js).
+
+export const WINDOW_MS = 120_000; // 2 minutes
+
+// plain by default: most sentiment bins are empty, so their MAD is 0 and mad
+// does not yet handle such sparse series
+export const Z_DEFAULTS = { estimator: "plain", binMs: 5000, lookbackMs: 120_000, halflifeMs: 30_000 };
+
+// Validated z options; throws on bad input
+export function normalizeZOptions(opts = {}) {
+  const z = { ...Z_DEFAULTS };
+  for (const [k, v] of Object.entries(opts || {})) if (v !== undefined) z[k] = v;
+  if (!Z_ESTIMATORS.includes(z.estimator)) throw new Error(`estimator must be one of ${Z_ESTIMATORS.join(", ")}`);
+  for (const k of ["binMs", "lookbackMs", "halflifeMs"]) {
+    z[k] = Number(z[k]);
+    if (!Number.isFinite(z[k]) || z[k] < 100) throw new Error(`${k} must be >= 100`);
+  }
+  if (z.lookbackMs < 5 * z.binMs) throw new Error("lookbackMs must cover at least 5 bins");
+  return z;
+}
+
+// How much history the rolling windows must keep for these z options
+export function windowFor(z = Z_DEFAULTS) {
+  return Math.max(WINDOW_MS, z.lookbackMs + 2 * z.binMs);
+}
+
+export function prune(arr, now, windowMs = WINDOW_MS) {
+  const cutoff = now - windowMs;
+  while (arr.length && arr[0].t < cutoff) arr.shift();
+}
+export function delta1m(series, now) {
+  const cutoff = now - 60_000;
+  const recent = series.filter((d) => d.t >= cutoff);
+  if (!recent.length) return 0;
+  return recent[recent.length - 1].v - recent[0].v;
+}
+export function count1m(series, now) {
+  const cutoff = now - 60_000;
+  return series.filter((d) => d.t >= cutoff).length;
+}
+// Values per bin, oldest first, for `bins` bins of binMs ending at now:
+// "last" carries the latest value forward (null before the first point),
+// "sum" adds up the values falling in each bin
+export function resampleGrid(series, now, binMs, bins, mode) {
+  const out = new Array(bins).fill(mode === "sum" ? 0 : null);
+  const start = now - bins * binMs;
+  let carry = null;
+  for (const d of series) {
+    if (d.t > now) continue;
+    const i = Math.floor((d.t - start) / binMs);
+    if (mode === "sum") {
+      if (i >= 0 && i < bins) out[i] += d.v;
+    } else if (i < 0) {
+      carry = d.v;
+    } else if (i < bins) {
+      out[i] = d.v;
+    }
+  }
+  if (mode !== "sum") {
+    for (let i = 0; i < bins; i++) carry = out[i] = out[i] ?? carry;
+  }
+  return out;
+}
+
+// z of the newest value in xs against the ones before it
+function gridZ(xs, z) {
+  if (xs.length < 6) return 0;
+  const halflife = z.halflifeMs / z.binMs;
+  return zScoreOf(xs.at(-1), xs.slice(0, -1), { estimator: z.estimator, halflife });
+}
+
+// ps / is: pruned price and sentiment windows for one symbol; z: normalized
+// z options (normalizeZOptions)
+export function coreSignal(ps, is, now, z = Z_DEFAULTS) {
+  // Price side
+  let pctPriceDelta = 0;
+  const lastPrice = ps.length ? ps[ps.length - 1].v : null;
+
+  if (ps.length >= 2) {
+    const pDelta = delta1m(ps, now);
+    const firstP = ps[0]?.v ?? null;
+    if (firstP && lastPrice) pctPriceDelta = (pDelta / firstP) * 100;
+  }
+
+  // Info/Sentiment side
+  const sDelta = is.length ? delta1m(is, now) : 0;
+
+  // Common grid → per-bin returns / sentiment → z-scores
+  const bins = Math.round(z.lookbackMs / z.binMs) + 1;
+  const prices = resampleGrid(ps, now, z.binMs, bins + 1, "last");
+  const returns = prices
+    .slice(1)
+    .map((p, i) => (p != null && prices[i] != null ? (p / prices[i] - 1) * 100 : null))
+    .filter((r) => r != null);
+  const sentiment = resampleGrid(is, now, z.binMs, bins, "sum");
+
+  const zPrice = gridZ(returns, z);
+  const zSent = gridZ(sentiment, z);
+  const divergence = zSent - zPrice;
+
+  // info volume last minute
+  const infoCount = count1m(is, now);
+
+  return {
+    lastPrice,
+    pctPriceDelta,
+    sDelta,
+    zSent,
+    zPrice,
+    divergence,
+    infoCount,
+    strong: Math.abs(divergence) >= 1.5 && infoCount >= 3,
+  };
+}
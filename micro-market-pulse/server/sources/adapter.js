@@ -0,0 +1,147 @@
+/* ---------------------- Source adapter base --------------------- */
+// Every feed is wrapped by createSource(): it owns start/stop, reconnect
+// with backoff, event fan-out and a status snapshot for /sources.
+//
+// A feed only implements open(handle) -> close():
+//   handle.connected()   feed is live (resets the backoff)
+//   handle.emit(event)   normalized event, see below
+//   handle.fail(err)     tear down and reopen after the backoff delay
+//
+// Normalized events:
+//   { type: "price", source, sym, t, v, raw? }
+//   { type: "info",  source, id, syms, matches?, t, publishedAt?, text, url?, raw? }
+//     id: stable event id (see dedup.js); t: when we saw it
+//     matches: [{ sym, confidence, alias }] from entities.js
+
+export function createBackoff({ initialMs = 1000, maxMs = 60_000, factor = 2, jitter = 0.2 } = {}) {
+  let attempt = 0;
+  return {
+    next() {
+      const base = Math.min(maxMs, initialMs * factor ** attempt);
+      attempt += 1;
+      return Math.round(base * (1 + (Math.random() * 2 - 1) * jitter));
+    },
+    reset() {
+      attempt = 0;
+    },
+    get attempt() {
+      return attempt;
+    },
+  };
+}
+
+export function createSource({ name, type, kind, backoff, open }) {
+  const policy = createBackoff(backoff);
+  const listeners = new Set();
+  const status = {
+    name,
+    type,
+    kind, // "price" | "info"
+    state: "idle", // idle | connecting | connected | backoff | stopped
+    startedAt: null,
+    connectedAt: null,
+    lastEventAt: null,
+    lastError: null,
+    lastErrorAt: null,
+    errors: 0,
+    reconnects: 0,
+    events: 0,
+    nextRetryAt: null,
+  };
+
+  let close = null;
+  let retryTimer = null;
+  let running = false;
+
+  function teardown() {
+    const fn = close;
+    close = null;
+    try {
+      fn?.();
+    } catch {}
+  }
+
+  function connect() {
+    if (!running) return;
+    status.state = "connecting";
+    status.nextRetryAt = null;
+
+    let failed = false;
+    const handle = {
+      connected() {
+        if (!running || failed || status.state === "connected") return;
+        status.state = "connected";
+        status.connectedAt = Date.now();
+        policy.reset();
+        console.log(`[${name}] connected`);
+      },
+      emit(event) {
+        if (!running || failed) return;
+        status.events += 1;
+        status.lastEventAt = Date.now();
+        const ev = { ...event, source: name };
+        for (const fn of listeners) {
+          try {
+            fn(ev);
+          } catch (e) {
+            console.log(`[${name}] listener error`, e.message);
+          }
+        }
+      },
+      fail(err) {
+        if (!running || failed) return;
+        failed = true;
+        status.errors += 1;
+        status.lastError = err?.message || String(err || "error");
+        status.lastErrorAt = Date.now();
+        teardown();
+
+        const delay = policy.next();
+        status.state = "backoff";
+        status.nextRetryAt = Date.now() + delay;
+        console.log(`[${name}] ${status.lastError}; retrying in ${delay}ms`);
+        retryTimer = setTimeout(() => {
+          retryTimer = null;
+          status.reconnects += 1;
+          connect();
+        }, delay);
+      },
+    };
+
+    try {
+      close = open(handle) || null;
+    } catch (e) {
+      handle.fail(e);
+    }
+  }
+
+  return {
+    name,
+    type,
+    kind,
+    start() {
+      if (running) return;
+      running = true;
+      status.startedAt = Date.now();
+      connect();
+    },
+    stop() {
+      running = false;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      teardown();
+      status.state = "stopped";
+      status.nextRetryAt = null;
+    },
+    onEvent(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    status() {
+      return {
+        ...status,
+        idleMs: status.lastEventAt ? Date.now() - status.lastEventAt : null,
+      };
+    },
+  };
+}
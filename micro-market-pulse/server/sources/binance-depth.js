@@ -0,0 +1,39 @@
+import { createSource } from "./adapter.js";
+import { BINANCE_WS_URL, openCombinedStream } from "./binance.js";
+import { symbolForPair } from "../symbols.js";
+
+/* ---------------------- Binance partial depth ------------------ */
+// Top-N order book snapshots (<pair>@depth<N>[@100ms]) for every registry
+// symbol. levels: 5 | 10 | 20, updateMs: 1000 | 100.
+
+// Combined-stream depth message -> { sym, bids, asks }, or null when not tracked
+export function parseDepthMessage({ stream, data } = {}) {
+  if (!stream || !Array.isArray(data?.bids) || !Array.isArray(data?.asks)) return null;
+  const sym = symbolForPair(stream.split("@")[0]);
+  if (!sym) return null;
+  const levels = (side) => side.map(([p, q]) => [parseFloat(p), parseFloat(q)]);
+  return { sym, bids: levels(data.bids), asks: levels(data.asks) };
+}
+
+export default function createBinanceDepthSource(config = {}) {
+  const levels = [5, 10, 20].includes(config.levels) ? config.levels : 20;
+  const suffix = config.updateMs === 100 ? "@100ms" : "";
+
+  return createSource({
+    name: config.name || "binance-depth",
+    type: "binance-depth",
+    kind: "book",
+    backoff: { initialMs: 3000, maxMs: 60_000, ...config.backoff },
+    open(handle) {
+      return openCombinedStream(handle, {
+        url: config.url || BINANCE_WS_URL,
+        streamFor: (s) => `${s.pair}@depth${levels}${suffix}`,
+        onMessage({ stream, data }) {
+          const book = parseDepthMessage({ stream, data });
+          if (!book) return;
+          handle.emit({ type: "book", ...book, t: Date.now(), raw: { stream, data } });
+        },
+      });
+    },
+  });
+}
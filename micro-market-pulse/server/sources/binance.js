@@ -0,0 +1,75 @@
+import WebSocket from "ws";
+import { createSource } from "./adapter.js";
+import { listSymbols, symbolForPair, onSymbolsChange } from "../symbols.js";
+
+/* -------------------------- Binance WS ------------------------- */
+export const BINANCE_WS_URL = "wss://stream.binance.com:9443/stream";
+
+// Combined-stream trade message -> { sym, v, q }, or null when not tracked.
+// Shared with the replay source so recorded traffic takes the same path.
+export function parseTradeMessage({ stream, data } = {}) {
+  if (!data?.p || !stream) return null;
+  const sym = symbolForPair(stream.split("@")[0]);
+  return sym ? { sym, v: parseFloat(data.p), q: parseFloat(data.q) || 0 } : null;
+}
+
+// Opens a combined-stream socket with one stream per registry symbol
+// (streamFor(entry) -> "btcusdt@trade"). Streams are (un)subscribed live so
+// registry changes need no reconnect. Returns the close function for open().
+export function openCombinedStream(handle, { url, streamFor, onMessage }) {
+  const ws = new WebSocket(url);
+  let subscribed = new Set();
+  let reqId = 0;
+
+  function sync() {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    const wanted = new Set(listSymbols().map(streamFor));
+    const add = [...wanted].filter((s) => !subscribed.has(s));
+    const drop = [...subscribed].filter((s) => !wanted.has(s));
+    if (add.length) ws.send(JSON.stringify({ method: "SUBSCRIBE", params: add, id: ++reqId }));
+    if (drop.length) ws.send(JSON.stringify({ method: "UNSUBSCRIBE", params: drop, id: ++reqId }));
+    subscribed = wanted;
+  }
+  const unwatch = onSymbolsChange(sync);
+
+  ws.on("open", () => {
+    handle.connected();
+    sync();
+  });
+  ws.on("message", (raw) => {
+    try {
+      const msg = JSON.parse(raw.toString());
+      if (msg?.stream && msg.data) onMessage(msg);
+    } catch {}
+  });
+  ws.on("close", () => handle.fail(new Error("closed")));
+  ws.on("error", (e) => handle.fail(e));
+
+  return () => {
+    unwatch();
+    ws.removeAllListeners();
+    ws.on("error", () => {});
+    ws.terminate();
+  };
+}
+
+// Trade stream for every registry symbol
+export default function createBinanceSource(config = {}) {
+  return createSource({
+    name: config.name || "binance",
+    type: "binance",
+    kind: "price",
+    backoff: { initialMs: 3000, maxMs: 60_000, ...config.backoff },
+    open(handle) {
+      return openCombinedStream(handle, {
+        url: config.url || BINANCE_WS_URL,
+        streamFor: (s) => `${s.pair}@trade`,
+        onMessage({ stream, data }) {
+          const trade = parseTradeMessage({ stream, data });
+          if (!trade) return;
+          handle.emit({ type: "price", venue: "binance", ...trade, t: Date.now(), raw: { stream, data } });
+        },
+      });
+    },
+  });
+}
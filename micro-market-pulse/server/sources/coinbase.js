@@ -0,0 +1,63 @@
+import WebSocket from "ws";
+import { createSource } from "./adapter.js";
+import { listSymbols, symbolForVenue, onSymbolsChange } from "../symbols.js";
+
+/* ------------------------- Coinbase WS ------------------------- */
+// Exchange feed `matches` channel for every registry symbol's venues.coinbase
+// product id (e.g. BTC-USD). Products are (un)subscribed live.
+
+// Feed message -> { sym, v, q }, or null when not a tracked match
+export function parseMatchMessage(msg = {}) {
+  if (msg.type !== "match" && msg.type !== "last_match") return null;
+  const sym = symbolForVenue("coinbase", msg.product_id);
+  return sym ? { sym, v: parseFloat(msg.price), q: parseFloat(msg.size) || 0 } : null;
+}
+
+export default function createCoinbaseSource(config = {}) {
+  const url = config.url || "wss://ws-feed.exchange.coinbase.com";
+
+  return createSource({
+    name: config.name || "coinbase",
+    type: "coinbase",
+    kind: "price",
+    backoff: { initialMs: 3000, maxMs: 60_000, ...config.backoff },
+    open(handle) {
+      const ws = new WebSocket(url);
+      let subscribed = new Set();
+
+      function sync() {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        const wanted = new Set(listSymbols().map((s) => s.venues.coinbase));
+        const add = [...wanted].filter((p) => !subscribed.has(p));
+        const drop = [...subscribed].filter((p) => !wanted.has(p));
+        if (add.length) ws.send(JSON.stringify({ type: "subscribe", product_ids: add, channels: ["matches"] }));
+        if (drop.length) ws.send(JSON.stringify({ type: "unsubscribe", product_ids: drop, channels: ["matches"] }));
+        subscribed = wanted;
+      }
+      const unwatch = onSymbolsChange(sync);
+
+      ws.on("open", () => {
+        handle.connected();
+        sync();
+      });
+      ws.on("message", (raw) => {
+        try {
+          const msg = JSON.parse(raw.toString());
+          if (msg.type === "error") return console.log("[coinbase]", msg.message, msg.reason || "");
+          const trade = parseMatchMessage(msg);
+          if (!trade) return;
+          handle.emit({ type: "price", venue: "coinbase", ...trade, t: Date.now(), raw: msg });
+        } catch {}
+      });
+      ws.on("close", () => handle.fail(new Error("closed")));
+      ws.on("error", (e) => handle.fail(e));
+
+      return () => {
+        unwatch();
+        ws.removeAllListeners();
+        ws.on("error", () => {});
+        ws.terminate();
+      };
+    },
+  });
+}
@@ -0,0 +1,84 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+/* ------------------------ Source registry ---------------------- */
+// sources.json (override via SOURCES_CONFIG) lists the feeds to run.
+// Each entry's `type` names a module in this directory whose default export
+// is a factory (config) => source (see adapter.js). Optional entry keys:
+//   enabled      false to skip the feed
+//   requiresEnv  only start when this env var is set
+//   fallbackFor  only start when the named source did not start
+//   sentiment    engine for this feed's info events (see sentiment/index.js)
+//   weight       multiplier on this feed's sentiment scores (default 1)
+//   titleDedupMs window for dropping repeated titles (see dedup.js)
+const CONFIG_PATH =
+  process.env.SOURCES_CONFIG || fileURLToPath(new URL("../sources.json", import.meta.url));
+
+const sources = new Map(); // name -> source
+const skipped = new Map(); // name -> reason
+
+// `entries` overrides the config file (e.g. a replay-only session)
+export async function loadSources(entries = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"))) {
+  sources.clear();
+  skipped.clear();
+
+  for (const entry of entries) {
+    const name = entry.name || entry.type;
+    if (entry.enabled === false) {
+      skipped.set(name, "disabled");
+      continue;
+    }
+    if (entry.requiresEnv && !process.env[entry.requiresEnv]) {
+      skipped.set(name, `${entry.requiresEnv} not set`);
+      continue;
+    }
+    if (entry.fallbackFor && sources.has(entry.fallbackFor)) {
+      skipped.set(name, `fallback for ${entry.fallbackFor}`);
+      continue;
+    }
+    if (!/^[a-z0-9-]+$/i.test(entry.type || "")) {
+      skipped.set(name, `invalid type ${entry.type}`);
+      continue;
+    }
+    try {
+      const mod = await import(`./${entry.type}.js`);
+      sources.set(name, mod.default({ ...entry, name }));
+    } catch (e) {
+      skipped.set(name, `load failed: ${e.message}`);
+      console.log(`[sources] ${name} failed to load:`, e.message);
+    }
+  }
+  console.log(`[sources] enabled: ${[...sources.keys()].join(", ") || "none"}`);
+  return [...sources.values()];
+}
+
+export function startSources(onEvent) {
+  for (const src of sources.values()) {
+    src.onEvent(onEvent);
+    src.start();
+  }
+}
+
+export function stopSources() {
+  for (const src of sources.values()) src.stop();
+}
+
+// A key from the source's config entry, read even when the source is not
+// running (a replay still scores events with the recorded feed's settings)
+let configCache = null;
+export function sourceSetting(name, key) {
+  configCache ??= JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  const entry = configCache.find((e) => (e.name || e.type) === name);
+  return entry?.[key];
+}
+
+export function getSource(name) {
+  return sources.get(name) || null;
+}
+
+export function sourceStatus() {
+  return [
+    ...[...sources.values()].map((s) => ({ enabled: true, ...s.status() })),
+    ...[...skipped].map(([name, reason]) => ({ name, enabled: false, state: "skipped", reason })),
+  ];
+}
@@ -0,0 +1,69 @@
+import WebSocket from "ws";
+import { createSource } from "./adapter.js";
+import { listSymbols, symbolForVenue, onSymbolsChange } from "../symbols.js";
+
+/* -------------------------- Kraken WS -------------------------- */
+// v2 `trade` channel for every registry symbol's venues.kraken pair
+// (e.g. BTC/USD). Pairs are (un)subscribed live.
+
+// v2 trade message -> [{ sym, v, q, raw }] for the tracked trades it carries
+export function parseTradeMessage(msg = {}) {
+  if (msg.channel !== "trade" || !Array.isArray(msg.data)) return [];
+  return msg.data
+    .map((d) => ({ sym: symbolForVenue("kraken", d.symbol), v: Number(d.price), q: Number(d.qty) || 0, raw: d }))
+    .filter((d) => d.sym && Number.isFinite(d.v));
+}
+
+export default function createKrakenSource(config = {}) {
+  const url = config.url || "wss://ws.kraken.com/v2";
+
+  return createSource({
+    name: config.name || "kraken",
+    type: "kraken",
+    kind: "price",
+    backoff: { initialMs: 3000, maxMs: 60_000, ...config.backoff },
+    open(handle) {
+      const ws = new WebSocket(url);
+      let subscribed = new Set();
+
+      function sync() {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        const wanted = new Set(listSymbols().map((s) => s.venues.kraken));
+        const add = [...wanted].filter((p) => !subscribed.has(p));
+        const drop = [...subscribed].filter((p) => !wanted.has(p));
+        // snapshot: false so a (re)subscribe doesn't replay the last 50 trades
+        if (add.length) {
+          ws.send(JSON.stringify({ method: "subscribe", params: { channel: "trade", symbol: add, snapshot: false } }));
+        }
+        if (drop.length) {
+          ws.send(JSON.stringify({ method: "unsubscribe", params: { channel: "trade", symbol: drop } }));
+        }
+        subscribed = wanted;
+      }
+      const unwatch = onSymbolsChange(sync);
+
+      ws.on("open", () => {
+        handle.connected();
+        sync();
+      });
+      ws.on("message", (raw) => {
+        try {
+          const msg = JSON.parse(raw.toString());
+          const t = Date.now();
+          for (const trade of parseTradeMessage(msg)) {
+            handle.emit({ type: "price", venue: "kraken", ...trade, t });
+          }
+        } catch {}
+      });
+      ws.on("close", () => handle.fail(new Error("closed")));
+      ws.on("error", (e) => handle.fail(e));
+
+      return () => {
+        unwatch();
+        ws.removeAllListeners();
+        ws.on("error", () => {});
+        ws.terminate();
+      };
+    },
+  });
+}
@@ -0,0 +1,64 @@
+import fetch from "node-fetch";
+import { createSource } from "./adapter.js";
+import { listSymbols } from "../symbols.js";
+import { matchEntities } from "../entities.js";
+import { hashKey, titleKey } from "../dedup.js";
+
+/* ------------------------- NewsAPI poller ---------------------- */
+// Latest headlines for the registry keywords, polled every intervalMs
+export default function createNewsApiSource(config = {}) {
+  const apiKey = config.apiKey || process.env.NEWSAPI_KEY;
+  const intervalMs = config.intervalMs || 20_000;
+  const pageSize = config.pageSize || 10;
+
+  return createSource({
+    name: config.name || "newsapi",
+    type: "newsapi",
+    kind: "info",
+    backoff: { initialMs: intervalMs, maxMs: 10 * 60_000, ...config.backoff },
+    open(handle) {
+      let timer = null;
+
+      async function poll() {
+        const terms = listSymbols().flatMap((s) => s.keywords);
+        if (!terms.length) return;
+        try {
+          const q = encodeURIComponent(`(${terms.join(" OR ")})`);
+          const url =
+            `https://newsapi.org/v2/everything?` +
+            `q=${q}&language=en&sortBy=publishedAt&pageSize=${pageSize}&apiKey=${apiKey}`;
+          const res = await fetch(url);
+          if (!res.ok) throw new Error(`NewsAPI ${res.status}`);
+          const json = await res.json();
+          handle.connected();
+
+          const now = Date.now();
+          const articles = json.articles || [];
+          for (const a of articles) {
+            const title = a?.title || "";
+            const matches = matchEntities(title);
+            if (!matches.length) continue;
+            const publishedAt = Date.parse(a.publishedAt);
+            handle.emit({
+              type: "info",
+              id: hashKey(a.url || titleKey(title)),
+              syms: matches.map((m) => m.sym),
+              matches,
+              t: now,
+              publishedAt: Number.isFinite(publishedAt) ? publishedAt : null,
+              text: title,
+              url: a.url || null,
+            });
+          }
+          if (articles.length) console.log(`[news] +${articles.length} headlines`);
+        } catch (e) {
+          handle.fail(e);
+        }
+      }
+
+      poll();
+      timer = setInterval(poll, intervalMs);
+      return () => clearInterval(timer);
+    },
+  });
+}
@@ -0,0 +1,102 @@
+import fs from "fs";
+import readline from "readline";
+import { createSource } from "./adapter.js";
+import { parseTradeMessage } from "./binance.js";
+import { parseDepthMessage } from "./binance-depth.js";
+import { listRecordings } from "../recorder.js";
+import { now, useVirtualTime, advanceTo } from "../clock.js";
+
+/* ---------------------------- Replay --------------------------- */
+// Plays recorder NDJSON back through the normal ingestion path on a virtual
+// clock. speed: 1 (real time), N (N times faster) or "max" (no pacing).
+// Binance lines are re-parsed from the raw trade/depth message.
+const STEP_MS = 250; // wall-clock granularity while pacing
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export default function createReplaySource(config = {}) {
+  const target = config.file;
+  const speed = config.speed === "max" ? Infinity : Math.max(0.01, Number(config.speed) || 1);
+
+  return createSource({
+    name: config.name || "replay",
+    type: "replay",
+    kind: "replay",
+    backoff: config.backoff,
+    open(handle) {
+      let cancelled = false;
+
+      async function run() {
+        const files = listRecordings(target);
+        handle.connected();
+        console.log(`[replay] ${files.length} file(s) at ${speed === Infinity ? "max" : speed + "x"} speed`);
+
+        let started = false;
+        let sinceYield = 0;
+        for (const file of files) {
+          const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+          for await (const line of rl) {
+            if (cancelled) return rl.close();
+            if (!line.trim()) continue;
+
+            let ev;
+            try {
+              ev = JSON.parse(line);
+            } catch {
+              continue;
+            }
+            if (!Number.isFinite(ev.t)) continue;
+
+            if (!started) {
+              useVirtualTime(ev.t);
+              started = true;
+            }
+
+            if (speed === Infinity) {
+              advanceTo(ev.t);
+              if (++sinceYield >= 1000) {
+                sinceYield = 0;
+                await new Promise((r) => setImmediate(r));
+              }
+            } else {
+              while (now() < ev.t && !cancelled) {
+                const step = Math.min(ev.t - now(), STEP_MS * speed);
+                await sleep(step / speed);
+                advanceTo(now() + step);
+              }
+            }
+            if (cancelled) return rl.close();
+
+            if (ev.type === "price") {
+              const trade = ev.raw?.stream ? parseTradeMessage(ev.raw) : ev.sym ? { sym: ev.sym, v: ev.v, q: ev.q } : null;
+              if (trade) {
+                handle.emit({ type: "price", venue: ev.venue || ev.source, ...trade, t: ev.t, raw: ev.raw, recordedSource: ev.source });
+              }
+            } else if (ev.type === "book") {
+              const book = ev.raw?.stream ? parseDepthMessage(ev.raw) : null;
+              if (book) handle.emit({ type: "book", ...book, t: ev.t, raw: ev.raw, recordedSource: ev.source });
+            } else if (ev.type === "info" && Array.isArray(ev.syms)) {
+              handle.emit({
+                type: "info",
+                id: ev.id,
+                publishedAt: ev.publishedAt,
+                url: ev.url,
+                syms: ev.syms,
+                matches: ev.matches,
+                t: ev.t,
+                text: ev.text,
+                recordedSource: ev.source,
+              });
+            }
+          }
+        }
+        console.log(`[replay] finished; clock held at ${new Date(now()).toISOString()}`);
+      }
+
+      run().catch((e) => handle.fail(e));
+      return () => {
+        cancelled = true;
+      };
+    },
+  });
+}
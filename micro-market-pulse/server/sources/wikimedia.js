@@ -0,0 +1,41 @@
+import { EventSource } from "eventsource";
+import { createSource } from "./adapter.js";
+import { matchEntities } from "../entities.js";
+import { hashKey } from "../dedup.js";
+
+/* ------------------------ Wikimedia SSE ------------------------ */
+// Recent-change titles that mention a tracked symbol
+export default function createWikimediaSource(config = {}) {
+  const url = config.url || "https://stream.wikimedia.org/v2/stream/recentchange";
+
+  return createSource({
+    name: config.name || "wikimedia",
+    type: "wikimedia",
+    kind: "info",
+    backoff: config.backoff,
+    open(handle) {
+      const es = new EventSource(url);
+      es.onopen = () => handle.connected();
+      es.onerror = (e) => handle.fail(new Error(e?.message || "error"));
+      es.onmessage = (evt) => {
+        try {
+          const data = JSON.parse(evt.data);
+          const title = String(data?.title || "");
+          const matches = matchEntities(title);
+          if (!matches.length) return;
+          handle.emit({
+            type: "info",
+            id: hashKey(`wikimedia:${data.meta?.id || data.id || `${title}:${data.timestamp}`}`),
+            syms: matches.map((m) => m.sym),
+            matches,
+            t: Date.now(),
+            publishedAt: data.timestamp ? data.timestamp * 1000 : null,
+            text: title,
+            url: data.meta?.uri || null,
+          });
+        } catch {}
+      };
+      return () => es.close();
+    },
+  });
+}
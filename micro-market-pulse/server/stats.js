@@ -0,0 +1,216 @@
+/* ------------------------ Statistics --------------------------- */
+// Small numeric helpers shared by the analytics modules.
+
+export function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+export function variance(xs) {
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  return xs.reduce((a, b) => a + (b - m) ** 2, 0) / (xs.length - 1);
+}
+
+// Pearson correlation of paired samples; null when either side is constant
+export function correlation(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 3) return null;
+  const mx = mean(xs.slice(0, n));
+  const my = mean(ys.slice(0, n));
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Ordinary least squares y ~ X (rows of X include any intercept column).
+// Returns { beta, rss } or null when X'X is singular.
+export function ols(X, y) {
+  const k = X[0]?.length ?? 0;
+  if (!k || X.length <= k) return null;
+  // Normal equations [X'X | X'y], solved by Gauss-Jordan with partial pivoting
+  const A = Array.from({ length: k }, (_, i) => {
+    const row = new Array(k + 1).fill(0);
+    for (let r = 0; r < X.length; r++) {
+      for (let j = 0; j < k; j++) row[j] += X[r][i] * X[r][j];
+      row[k] += X[r][i] * y[r];
+    }
+    return row;
+  });
+  for (let c = 0; c < k; c++) {
+    let p = c;
+    for (let r = c + 1; r < k; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+    if (Math.abs(A[p][c]) < 1e-12) return null;
+    [A[c], A[p]] = [A[p], A[c]];
+    for (let r = 0; r < k; r++) {
+      if (r === c) continue;
+      const f = A[r][c] / A[c][c];
+      for (let j = c; j <= k; j++) A[r][j] -= f * A[c][j];
+    }
+  }
+  const beta = A.map((row, i) => row[k] / row[i]);
+  let rss = 0;
+  for (let r = 0; r < X.length; r++) {
+    const fit = X[r].reduce((s, x, j) => s + x * beta[j], 0);
+    rss += (y[r] - fit) ** 2;
+  }
+  return { beta, rss };
+}
+
+/* ---------------- Distributions (incomplete beta) --------------- */
+
+function logGamma(x) {
+  // Lanczos approximation
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const ci of c) ser += ci / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+function betaContinuedFraction(a, b, x) {
+  const EPS = 3e-14;
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// P(F > f) for an F(d1, d2) variable
+export function fTestPValue(f, d1, d2) {
+  if (!Number.isFinite(f) || f <= 0) return 1;
+  return incompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2);
+}
+
+/* ------------------------- z-scores ---------------------------- */
+
+export function median(xs) {
+  if (!xs.length) return null;
+  const s = xs.slice().sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+export const Z_ESTIMATORS = ["plain", "ewma", "mad"];
+
+// Location/scale of `hist` under an estimator:
+//   plain  mean / sample sd
+//   ewma   exponentially weighted mean / sd, halflife in samples (newest last)
+//   mad    median / 1.4826 * median absolute deviation
+export function locationScale(hist, { estimator = "plain", halflife = 10 } = {}) {
+  if (estimator === "mad") {
+    const med = median(hist);
+    return { center: med, scale: 1.4826 * median(hist.map((x) => Math.abs(x - med))) };
+  }
+  if (estimator === "ewma") {
+    const alpha = 1 - 2 ** (-1 / Math.max(1e-9, halflife));
+    let m = hist[0];
+    let v = 0;
+    for (const x of hist.slice(1)) {
+      const d = x - m;
+      m += alpha * d;
+      v = (1 - alpha) * (v + alpha * d * d);
+    }
+    return { center: m, scale: Math.sqrt(v) };
+  }
+  return { center: mean(hist), scale: Math.sqrt(variance(hist) ?? 0) };
+}
+
+// z of `latest` against `hist` (which should not contain it). A zero scale
+// (e.g. MAD of mostly-silent sentiment) falls back to the plain sd; a flat
+// history has no scale to measure against and scores 0.
+export function zScoreOf(latest, hist, opts = {}) {
+  const { center, scale } = locationScale(hist, opts);
+  const sd = scale || Math.sqrt(variance(hist) ?? 0);
+  return sd ? (latest - center) / sd : 0;
+}
+
+/* ---------------------- Tests & intervals ---------------------- */
+
+// Two-sided one-sample t-test of mean(xs) against mu
+export function tTest(xs, mu = 0) {
+  const n = xs.length;
+  const v = variance(xs);
+  if (n < 2 || !v) return { t: null, df: Math.max(0, n - 1), pValue: null };
+  const t = (mean(xs) - mu) / Math.sqrt(v / n);
+  const df = n - 1;
+  return { t, df, pValue: incompleteBeta(df / (df + t * t), df / 2, 0.5) };
+}
+
+// Exact two-sided binomial test of k successes in n trials against p: sums
+// the probabilities of every outcome no likelier than k
+export function binomialTest(k, n, p = 0.5) {
+  if (!n) return { pValue: null };
+  const logP = (i) => logGamma(n + 1) - logGamma(i + 1) - logGamma(n - i + 1) + i * Math.log(p) + (n - i) * Math.log(1 - p);
+  const observed = logP(k);
+  let sum = 0;
+  for (let i = 0; i <= n; i++) if (logP(i) <= observed + 1e-7) sum += Math.exp(logP(i));
+  return { pValue: Math.min(1, sum) };
+}
+
+// Small seeded PRNG (mulberry32) so repeated polls give the same interval
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Percentile bootstrap interval of stat(xs); null for fewer than 2 samples
+export function bootstrapCI(xs, stat, { resamples = 1000, level = 0.95, seed = 1 } = {}) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const rand = seededRandom(seed);
+  const sample = new Array(n);
+  const out = new Array(resamples);
+  for (let r = 0; r < resamples; r++) {
+    for (let i = 0; i < n; i++) sample[i] = xs[Math.floor(rand() * n)];
+    out[r] = stat(sample);
+  }
+  out.sort((a, b) => a - b);
+  const tail = (1 - level) / 2;
+  const at = (q) => out[Math.min(resamples - 1, Math.max(0, Math.round(q * (resamples - 1))))];
+  return [at(tail), at(1 - tail)];
+}
@@ -0,0 +1,147 @@
+import fs from "fs";
+import path from "path";
+
+/* ------------------------ Durable store ------------------------ */
+// Append-only NDJSON log per collection, segmented by UTC hour:
+//   <dir>/<collection>/2025-11-01T14.ndjson
+// Records must carry a numeric `t` (ms). Everything inside the retention
+// window is loaded into memory on start so queries stay synchronous;
+// expired segments are deleted by compact(). With persist: false the store
+// is memory-only (used for replays so they don't pollute live history).
+
+const HOUR_MS = 60 * 60_000;
+
+function segmentName(t) {
+  return new Date(t).toISOString().slice(0, 13) + ".ndjson";
+}
+function segmentStart(file) {
+  const t = Date.parse(path.basename(file, ".ndjson") + ":00:00Z");
+  return Number.isFinite(t) ? t : null;
+}
+
+// First index whose .t >= t (arr sorted by t)
+export function lowerBound(arr, t) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid].t < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export function createStore({ dir, retention, persist = true }) {
+  const collections = new Map(); // name -> { rows, stream, segment }
+
+  function coll(name) {
+    if (!retention[name]) throw new Error(`unknown collection ${name}`);
+    let c = collections.get(name);
+    if (!c) {
+      c = { rows: [], stream: null, segment: null };
+      collections.set(name, c);
+    }
+    return c;
+  }
+
+  function writer(name, c, t) {
+    const seg = segmentName(t);
+    if (c.segment !== seg) {
+      c.stream?.end();
+      const folder = path.join(dir, name);
+      fs.mkdirSync(folder, { recursive: true });
+      c.stream = fs.createWriteStream(path.join(folder, seg), { flags: "a" });
+      c.stream.on("error", (e) => console.log(`[store] ${name} write error`, e.message));
+      c.segment = seg;
+    }
+    return c.stream;
+  }
+
+  return {
+    // Reads every segment still inside retention; call once at startup
+    load(now = Date.now()) {
+      if (!persist) return;
+      for (const name of Object.keys(retention)) {
+        const c = coll(name);
+        const folder = path.join(dir, name);
+        if (!fs.existsSync(folder)) continue;
+
+        const cutoff = now - retention[name];
+        const files = fs.readdirSync(folder).filter((f) => f.endsWith(".ndjson")).sort();
+        for (const f of files) {
+          const start = segmentStart(f);
+          if (start != null && start + HOUR_MS < cutoff) continue;
+          for (const line of fs.readFileSync(path.join(folder, f), "utf8").split("\n")) {
+            if (!line) continue;
+            try {
+              const rec = JSON.parse(line);
+              if (rec.t >= cutoff) c.rows.push(rec);
+            } catch {}
+          }
+        }
+        c.rows.sort((a, b) => a.t - b.t);
+        console.log(`[store] ${name}: ${c.rows.length} records`);
+      }
+    },
+
+    append(name, rec) {
+      const c = coll(name);
+      const rows = c.rows;
+      if (!rows.length || rows[rows.length - 1].t <= rec.t) rows.push(rec);
+      else rows.splice(lowerBound(rows, rec.t + 1), 0, rec); // late arrival
+      if (persist) writer(name, c, rec.t).write(JSON.stringify(rec) + "\n");
+      return rec;
+    },
+
+    // Records with from <= t < to, optionally for one symbol, newest `limit`
+    query(name, { from = -Infinity, to = Infinity, sym = null, limit = null } = {}) {
+      const rows = coll(name).rows;
+      let out = rows.slice(lowerBound(rows, from), lowerBound(rows, to));
+      if (sym) out = out.filter((r) => r.sym === sym);
+      if (limit != null && out.length > limit) out = out.slice(-limit);
+      return out;
+    },
+
+    latest(name, limit = 1, sym = null) {
+      return this.query(name, { sym, limit });
+    },
+
+    // Drops expired rows in memory and deletes segments fully past retention
+    compact(now = Date.now()) {
+      for (const [name, ms] of Object.entries(retention)) {
+        const c = coll(name);
+        const cutoff = now - ms;
+        const idx = lowerBound(c.rows, cutoff);
+        if (idx) c.rows.splice(0, idx);
+
+        if (!persist) continue;
+        const folder = path.join(dir, name);
+        if (!fs.existsSync(folder)) continue;
+        for (const f of fs.readdirSync(folder)) {
+          const start = segmentStart(f);
+          if (start != null && start + HOUR_MS < cutoff && f !== c.segment) {
+            fs.rmSync(path.join(folder, f), { force: true });
+          }
+        }
+      }
+    },
+
+    stats() {
+      return Object.fromEntries(
+        Object.keys(retention).map((name) => {
+          const rows = coll(name).rows;
+          return [name, {
+            count: rows.length,
+            from: rows[0]?.t ?? null,
+            to: rows.at(-1)?.t ?? null,
+            retentionHours: retention[name] / HOUR_MS,
+          }];
+        })
+      );
+    },
+
+    close() {
+      for (const c of collections.values()) c.stream?.end();
+    },
+  };
+}
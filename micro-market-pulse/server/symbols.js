@@ -0,0 +1,142 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/* ----------------------- Symbol registry ----------------------- */
+// Defaults come from symbols.json (override via SYMBOLS_CONFIG) and are
+// editable at runtime through POST/DELETE /symbols. Changes are written to
+// <dataDir>/symbols.json, which replaces the defaults on the next start, so
+// the tracked config is never rewritten.
+const CONFIG_PATH =
+  process.env.SYMBOLS_CONFIG || fileURLToPath(new URL("./symbols.json", import.meta.url));
+let statePath = null; // set by loadSymbols({ dataDir })
+
+// Used when a symbol is added without its own estimates
+const DEFAULT_PARAMS = {
+  estimatedTxInWindow: 60,  // tx during the 60s impact window
+  estimatedHourlyTx: 3600,
+  demoBasePrice: 100,
+  demoPriceSpread: 10,
+  fallbackEnergyPerTxKWh: null,
+  fallbackImpactEnergyKWh: null,
+  fallbackImpactCarbonKg: null,
+};
+
+const registry = new Map(); // symbol -> entry
+const listeners = new Set();
+
+function normalizeEntry(raw) {
+  const symbol = String(raw?.symbol || "").trim().toUpperCase();
+  if (!/^[A-Z0-9]{2,12}$/.test(symbol)) {
+    throw new Error("symbol must be 2-12 letters/digits");
+  }
+  const pair = String(raw.pair || `${symbol}usdt`).trim().toLowerCase();
+  if (!/^[a-z0-9]+$/.test(pair)) throw new Error("pair must be a Binance pair like btcusdt");
+
+  // Product ids on the other venues (see sources/coinbase.js, sources/kraken.js)
+  const venues = {
+    coinbase: String(raw.venues?.coinbase || `${symbol}-USD`).toUpperCase(),
+    kraken: String(raw.venues?.kraken || `${symbol}/USD`).toUpperCase(),
+  };
+
+  const keywords = Array.isArray(raw.keywords) && raw.keywords.length
+    ? raw.keywords
+    : [raw.name, symbol].filter(Boolean);
+
+  return {
+    symbol,
+    name: String(raw.name || symbol),
+    pair,
+    venues,
+    keywords: [...new Set(keywords.map((k) => String(k).trim().toLowerCase()).filter(Boolean))],
+    // Phrases that veto a keyword hit, e.g. "eth zurich" (see entities.js)
+    exclude: (Array.isArray(raw.exclude) ? raw.exclude : []).map((k) => String(k).trim().toLowerCase()).filter(Boolean),
+    params: { ...DEFAULT_PARAMS, ...(raw.params || {}) },
+  };
+}
+
+function save() {
+  if (!statePath) return;
+  try {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify(listSymbols(), null, 2) + "\n");
+  } catch (e) {
+    console.log("[symbols] could not persist config:", e.message);
+  }
+}
+
+function emit(change) {
+  for (const fn of listeners) {
+    try {
+      fn(change);
+    } catch (e) {
+      console.log("[symbols] listener error", e.message);
+    }
+  }
+}
+
+// dataDir: where runtime changes are kept; without it they are not persisted
+export function loadSymbols({ dataDir } = {}) {
+  statePath = dataDir ? path.join(dataDir, "symbols.json") : null;
+  const file = statePath && fs.existsSync(statePath) ? statePath : CONFIG_PATH;
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  registry.clear();
+  for (const item of raw) {
+    const entry = normalizeEntry(item);
+    registry.set(entry.symbol, entry);
+  }
+  console.log(`[symbols] loaded ${registry.size} from ${file}`);
+  return listSymbols();
+}
+
+export function listSymbols() {
+  return [...registry.values()];
+}
+
+export function symbolNames() {
+  return [...registry.keys()];
+}
+
+export function getSymbol(sym) {
+  return registry.get(String(sym || "").toUpperCase()) || null;
+}
+
+export function symbolForPair(pair) {
+  const p = String(pair || "").toLowerCase();
+  for (const entry of registry.values()) if (entry.pair === p) return entry.symbol;
+  return null;
+}
+
+// Registry symbol for a venue product id (e.g. coinbase "BTC-USD")
+export function symbolForVenue(venue, id) {
+  const key = String(id || "").toUpperCase();
+  for (const entry of registry.values()) if (entry.venues[venue] === key) return entry.symbol;
+  return null;
+}
+
+// Adds a symbol or replaces an existing entry; throws on invalid input
+export function upsertSymbol(raw) {
+  const entry = normalizeEntry(raw);
+  const clash = listSymbols().find((e) => e.pair === entry.pair && e.symbol !== entry.symbol);
+  if (clash) throw new Error(`pair ${entry.pair} already used by ${clash.symbol}`);
+
+  const existed = registry.has(entry.symbol);
+  registry.set(entry.symbol, entry);
+  save();
+  emit({ type: existed ? "updated" : "added", symbol: entry.symbol, entry });
+  return entry;
+}
+
+export function removeSymbol(sym) {
+  const entry = getSymbol(sym);
+  if (!entry) return false;
+  registry.delete(entry.symbol);
+  save();
+  emit({ type: "removed", symbol: entry.symbol, entry });
+  return true;
+}
+
+export function onSymbolsChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
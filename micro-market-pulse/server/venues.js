@@ -0,0 +1,94 @@
+/* --------------------- Cross-venue pricing --------------------- */
+// Last trade per venue per symbol, consolidated into one price:
+//   median   median of the fresh, non-outlier venue prices
+//   vwap     weighted by each venue's traded volume over volumeWindowMs
+// A venue is stale after staleMs without a trade and an outlier when it is
+// more than maxDeviationPct away from the reference (median of fresh venues
+// with 3+ venues, otherwise the previous consolidated price).
+
+function median(xs) {
+  const s = xs.slice().sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+export function createVenueAggregator({
+  method = "median",
+  staleMs = 30_000,
+  maxDeviationPct = 1,
+  volumeWindowMs = 60_000,
+} = {}) {
+  const state = {}; // sym -> { venues: { name: { price, t, trades: [{ t, q }], volume } }, last }
+
+  function venuesFor(sym) {
+    state[sym] ??= { venues: {}, last: null };
+    return state[sym];
+  }
+
+  return {
+    method,
+
+    update(sym, venue, t, price, qty = 0) {
+      if (!Number.isFinite(price) || price <= 0) return;
+      const v = (venuesFor(sym).venues[venue] ??= { price, t, trades: [], volume: 0 });
+      v.price = price;
+      v.t = t;
+      v.trades.push({ t, q: qty });
+      v.volume += qty;
+      while (v.trades.length && v.trades[0].t < t - volumeWindowMs) v.volume -= v.trades.shift().q;
+    },
+
+    // { price, method, venues: { name: { price, t, ageMs, stale, outlier, deviationPct, volume } },
+    //   venueCount, usedVenues, crossVenueSpreadPct }
+    consolidate(sym, now = Date.now()) {
+      const s = state[sym];
+      if (!s) return null;
+
+      const rows = Object.entries(s.venues).map(([name, v]) => ({
+        name,
+        price: v.price,
+        t: v.t,
+        ageMs: now - v.t,
+        stale: now - v.t > staleMs,
+        volume: Math.max(0, v.volume),
+      }));
+      const fresh = rows.filter((r) => !r.stale);
+      if (!fresh.length) return null;
+
+      const freshMedian = median(fresh.map((r) => r.price));
+      const reference = fresh.length >= 3 ? freshMedian : s.last ?? freshMedian;
+      for (const r of rows) {
+        r.deviationPct = Number((((r.price - reference) / reference) * 100).toFixed(4));
+        r.outlier = !r.stale && Math.abs(r.deviationPct) > maxDeviationPct;
+      }
+
+      let used = fresh.filter((r) => !r.outlier);
+      if (!used.length) used = fresh; // every venue moved together: trust them
+
+      let price;
+      const totalVol = used.reduce((a, r) => a + r.volume, 0);
+      if (method === "vwap" && totalVol > 0) {
+        price = used.reduce((a, r) => a + r.price * r.volume, 0) / totalVol;
+      } else {
+        price = median(used.map((r) => r.price));
+      }
+      s.last = price;
+
+      const prices = fresh.map((r) => r.price);
+      const spreadPct = prices.length > 1 ? ((Math.max(...prices) - Math.min(...prices)) / price) * 100 : 0;
+
+      return {
+        price,
+        method: method === "vwap" && totalVol > 0 ? "vwap" : "median",
+        venues: Object.fromEntries(rows.map(({ name, ...r }) => [name, r])),
+        venueCount: rows.length,
+        usedVenues: used.map((r) => r.name),
+        crossVenueSpreadPct: Number(spreadPct.toFixed(4)),
+      };
+    },
+
+    drop(sym) {
+      delete state[sym];
+    },
+  };
+}